@@ -1,438 +1,918 @@
-const auditHelpers = require("../../helpers/auditHelpers");
-const jiraHelpers = require("../../helpers/jira2Helpers");
-const subTaskAudits = require("../issueTypeAudits/subTaskAudits.js");
-const commonAudits = require("../issueTypeAudits/commonAudits.js");
-const AuditDetails = require("../AuditDetails");
-
-const DEFAULT_SUBTASK_FIELDS = require('../../const/jira2Fields.js').DEFAULT_SUBTASK_FIELDS;
-const JIRA2_FIELDS = require('../../const/jira2Fields.js').JIRA_FIELDS;
-const IGNORE_AUDIT_LABELS = auditHelpers.IGNORE_AUDIT_LABELS;
-
-const templateLink = `https://jira2.cerner.com/browse/MPAGESCORE-30188`;
-
-/**
- * This function runs all the required audits relating to the Hazard Analysis sub-task for an issue.
- * @param issue The issue on which to perform the Hazard Analysis audits
- * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
- */
-function runHazardAnalysisAudits(issue){
-    return new Promise(async (resolve, reject) => {
-        let auditDetail;
-        let auditingSubTaskLink = false;
-        let originalHazardSubTask;
-        const allAuditResults = [];
-
-        // Get the Hazard Analysis sub task
-        let defineHazardAnalysis = jiraHelpers.getSubTaskByName(issue, auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
-
-        // Create the Hazard Analysis sub task audit details object to populate.  If there is a Hazard Analysis sub task, that link will be used.
-        // Else, the parent issue will be populated
-        const hazardAnalysisAuditDetails = new AuditDetails("Hazard Analysis Sub-Task Audit", defineHazardAnalysis || issue);
-
-        // Any issue which was closed prior to April 22nd, 2019 will not be audited.  This was the beginning date for the enforcement of Hazards Analysis auditing, thus all issues resolved prior are grandfathered in.  IE audit will auto pass
-        const resolutionDate = new Date(issue.fields[JIRA2_FIELDS.RESOLUTION_DATE]);
-        if (resolutionDate < new Date("2019-04-22")) {
-            hazardAnalysisAuditDetails.auditPassing = true;
-            hazardAnalysisAuditDetails.auditDetails = `This audit is being ignored since the issue was resolved prior to the audit introduction date of April 22nd, 2019`;
-
-            return resolve(hazardAnalysisAuditDetails);
-        }
-
-        // Check to see if we should ignore this audit entirely based on the override labels
-        if (jiraHelpers.issueContainsAnyLabel(issue, [IGNORE_AUDIT_LABELS.HAZARD_ANALYSIS])){
-            hazardAnalysisAuditDetails.auditDetails = "Audit ignored";
-            // Cleanse all of the sub-task comments
-            await cleanseSubTaskAudits(issue);
-            return resolve(hazardAnalysisAuditDetails);
-        }
-
-        // Check to see if there is even a Hazard Analysis sub task before performing audits on it
-        auditDetail = await issueHasHazardAnalysisSubTask(issue);
-        hazardAnalysisAuditDetails.addAuditResults(auditDetail);
-        if (!auditDetail.auditPassing) {
-            return resolve(hazardAnalysisAuditDetails);
-        }
-
-        // Check to see if the sub-task has been closed as no work necessary and validate if so
-        auditDetail = await isNoWorkNeededResolutionValid(issue, defineHazardAnalysis);
-        if(auditDetail) {
-            hazardAnalysisAuditDetails.addAuditResults(auditDetail);
-            jiraHelpers.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
-            return resolve(hazardAnalysisAuditDetails);
-        }
-
-        // Check to see if there is an issueLink which links out to another "Hazard Analysis" sub-task
-        const subTaskLinks = defineHazardAnalysis.fields.issuelinks.filter(issueLink => jiraHelpers.isSubtaskLinkOfType(issueLink, auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS));
-        if(subTaskLinks && subTaskLinks.length){
-            auditDetail = await issueHasOneSubTaskLink(defineHazardAnalysis);
-            hazardAnalysisAuditDetails.addAuditResults(auditDetail);
-            if(!auditDetail.auditPassing){
-                // Since there are more than two sub-tasks linked fail hard and fast
-                await jiraHelpers.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
-                return resolve(hazardAnalysisAuditDetails);
-            }
-
-            // Set flag to indicate that audits are running on a linked sub-task
-            auditingSubTaskLink = true;
-
-            // Save off a reference to the original code review sub-task and reassign defineHazardAnalysis to the linked sub-task
-            originalHazardSubTask = defineHazardAnalysis;
-            defineHazardAnalysis = await jiraHelpers.getIssueFromLink(subTaskLinks[0], DEFAULT_SUBTASK_FIELDS);
-
-            // Perform audits on the current sub-task before we perform them on the linked sub task
-            hazardAnalysisAuditDetails.addAuditResults(await subTaskAudits.subTaskClosed(originalHazardSubTask));
-            hazardAnalysisAuditDetails.addAuditResults(await commonAudits.isAssigneeIndicated(originalHazardSubTask));
-        }
-        else{
-            allAuditResults.push(await subTaskAudits.subTaskClosed(defineHazardAnalysis));
-        }
-
-        // Perform the core audits for this sub-task
-        allAuditResults.push(await commonAudits.isAssigneeIndicated(defineHazardAnalysis));
-        auditDetail = await hazardAnalysisComplete(defineHazardAnalysis);
-        allAuditResults.push(auditDetail);
-        if(auditDetail.auditPassing){
-            allAuditResults.push(await hazardAnalysisReviewed(defineHazardAnalysis));
-        }
-
-        // If we are auditing a linked sub-task we need to combine the audit details into one audit
-        if(auditingSubTaskLink){
-            let auditComment = "\n\n";
-
-            // Combine all the subTask audits into one comment body
-            allAuditResults.forEach( audit => {
-                if(!audit.auditPassing){
-                    auditComment += jiraHelpers.generateAuditCommentText(audit) + "\n\n";
-                }
-            });
-
-            // loop through the allAuditRseults and see if any failed.  If so post them to the original sub-task
-            auditDetail = new AuditDetails("Linked Hazard Analysis Sub-Task Audit", originalHazardSubTask);
-            if(!allAuditResults.every( audit => audit.auditPassing)){
-                auditDetail.auditDetails = `The audit details below are currently failing for the linked sub-task and transitively causing this sub-task audit failure:\n\n{quote}${auditComment}{quote}`;
-                auditDetail.auditPassing = false;
-
-                // post the details out to the sub-task
-                await jiraHelpers.postIssueAuditFailureComment(originalHazardSubTask, auditDetail, true);
-            }
-            else{
-                auditDetail.auditDetails = `All audits for the linked Hazard Analysis sub-task have passed successfully:\\n\\n{quote}${auditComment}{quote}`;
-                auditDetail.auditPassing = true;
-
-                // Remove the audit failure comment from the story
-                await jiraHelpers.removeIssueAuditFailureComment(originalHazardSubTask, auditDetail);
-            }
-
-            // Save this as the audit since it was a linked sub-task
-            hazardAnalysisAuditDetails.addAuditResults(auditDetail);
-
-            // Reassign to the original sub-task
-            defineHazardAnalysis = originalHazardSubTask;
-        }
-        else{
-            // Remove any Linked Issue audit failure messages since an issue is no longer linked
-            await jiraHelpers.removeIssueAuditFailureCommentByName(defineHazardAnalysis, "Linked Hazard Analysis Sub-Task Audit");
-            // Add the audit details to the auditDetails object for this issue
-            hazardAnalysisAuditDetails.addAuditResults(allAuditResults);
-        }
-
-        await jiraHelpers.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
-        return resolve(hazardAnalysisAuditDetails);
-    });
-}
-
-/**
- * This function evaluates if there is a Hazard Analysis sub-task for this issue
- * @param issue The issue to audit for the Hazard Analysis sub-task
- * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
- */
-function issueHasHazardAnalysisSubTask(issue){
-    return new Promise(async (resolve, reject) => {
-        const issueHasHazardAnalysisTask = new AuditDetails("Issue Requires A Hazard Analysis Sub-Task", issue);
-
-        // Get the Hazard Analysis sub task
-        const hazardAnalysisTask = jiraHelpers.getSubTaskByName(issue, auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
-
-        // Check to see if a Hazard Analysis sub task exists and fail if not
-        if(!hazardAnalysisTask){
-            // Fail the audit for not having a Hazard Analysis sub task
-            issueHasHazardAnalysisTask.auditDetails = `A Hazard Analysis sub-task is required for all stories; please clone Jira stories from the [Story and Defect template|${templateLink}].`;
-            issueHasHazardAnalysisTask.auditPassing = false;
-
-            // Post the audit results to the parent issue
-            await jiraHelpers.postIssueAuditFailureComment(issue, issueHasHazardAnalysisTask);
-        }
-        else{
-            // Pass the audit for having a Hazard Analysis sub task
-            issueHasHazardAnalysisTask.auditDetails = "Hazard Analysis sub-task is required and present";
-            issueHasHazardAnalysisTask.auditPassing = true;
-
-            // Remove the audit failure comment from the story
-            await jiraHelpers.removeIssueAuditFailureComment(issue, issueHasHazardAnalysisTask);
-        }
-
-        return resolve(issueHasHazardAnalysisTask);
-    })
-}
-
-/**
- * This functions check to see if a 'No Work Needed' resolution is applied to the sub-task and then checks to see
- * if that resolution is valid.
- * @param parentIssue The parent issue for the sub-task.  Will be used to see if the parent issue has been closed
- *  with a 'No Work Needed' resolution.
- * @param subTask The sub-task to audit for a 'No Work Needed' resolution.
- * @returns {Promise<any>} The AuditDetails results for this audit
- */
-function isNoWorkNeededResolutionValid(parentIssue, subTask){
-    return new Promise( async (resolve, reject) => {
-        const noWorkNeededValid = new AuditDetails("Hazard Analysis No Work Needed Resolution Validation", subTask);
-
-        // Check to ensure the issue has been closed with a no work needed resolution
-        if(!jiraHelpers.issueHasNoWorkNeededResolution(subTask)){
-            await jiraHelpers.removeIssueAuditFailureComment(subTask, noWorkNeededValid);
-            return resolve(null);
-        }
-
-        // Check the parent issue status and if it is marked as no work being done then accept the status
-        if(jiraHelpers.issueHasNoWorkNeededResolution(parentIssue)){
-            // Pass the audit since the parent issue is in a valid status for this sub-task to be in a no work needed resolution
-            noWorkNeededValid.auditDetails = `Hazard analysis resolution of ${subTask.fields.resolution.name} is valid since the parent issue was closed with a ${parentIssue.fields.resolution.name} resolution.`;
-            noWorkNeededValid.auditPassing = true;
-
-            // Remove the audit failure comment from the story
-            await jiraHelpers.removeIssueAuditFailureComment(subTask, noWorkNeededValid);
-        }
-        else{
-            // Fail the audit since this hazard analysis is required for all stories
-            noWorkNeededValid.auditDetails = "Hazard analysis is required for all stories.  It is not valid to close this sub-task as not needing any work.  If the " +
-                "hazard analysis has been created under another Hazard Analysis sub-task, please link directly to that sub-task via a _JIRA Issue_ link so it can be audited.";
-            noWorkNeededValid.auditPassing = false;
-
-            // Post the audit results to the parent issue
-            await jiraHelpers.postIssueAuditFailureComment(subTask, noWorkNeededValid);
-        }
-
-        return resolve(noWorkNeededValid);
-    })
-}
-
-/**
- * This function checks the description of the Hazard Analysis to ensure the form has been answered
- * @param issue The issue to be audited for completion of the Hazard Analysis
- * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
- */
-function hazardAnalysisComplete(issue){
-    return new Promise(async (resolve, reject) => {
-        const hazardAnalysisComplete = new AuditDetails("Hazard Analysis Completed", issue);
-        const descriptionBody = issue.fields.description;
-
-        // These are the Regular Expressions used to check each line for the questions in the Hazard Analysis description field
-        const financialRegex = new RegExp(/Financial\:\*?(.+?[>]?)\W*Legal\/Regulatory/gims);
-        const legalRegex = new RegExp(/Legal\/Regulatory\:\*?(.+?[>]?)\W*Data Integrity/gims);
-        const dataRegex = new RegExp(/Data Integrity\:\*?(.+?[>]?)\W*Patient Safety/gmis);
-        const patientRegex = new RegExp(/Patient Safety\:\*?(.+?[>]?)\W*CyberSecurity\/Information Security/gmis);
-        const cyberSecurityRegex = new RegExp(/CyberSecurity\/Information Security\:(.+)/gims);
-        const yesNoRegex = new RegExp(/\s*\<yes or no\. if yes, explain why\>|\<yes\/no\>\s*/gims);
-        const fillCheckRegex = new RegExp(/(\S+)/im);
-
-        // Regular Expression magic first finds the description body lines needed for each Hazard Analysis question and turns it into a string
-        // then removes expected templates by line to see what answer, if any, is left over. Fails fast if question is not answered.
-        // Each block of following code and if statement checks a different field that needs answered
-
-        // First assign tempStr to find answer to financial question in the description body. The answer will be in an array.
-        let tempStr = descriptionBody.match(financialRegex);
-        // If there is nothing returned then it is not the right template or something was altered to the point it was not caught.
-        if (tempStr === null) {
-            // If null leads to the correct template to use for the Hazard Analysis
-            hazardAnalysisComplete.auditDetails = `Financial description does not match expected description for Hazard Analysis. You can copy the description directly from the Perform Hazard Analysis 
-            sub-task found in the Story and Defect template; please clone Jira stories from the [Story and Defect template|${templateLink}]`;
-            hazardAnalysisComplete.auditPassing = false;
-            return resolve(hazardAnalysisComplete);
-        }
-        else{
-            // Here the description body is changed into a string from the initial array form. Next the matched regular expression for the question we are looking
-            // for is stripped downto the answer portion or $1 which is group one of the regular expression (the yes/no template and the answer part) of the regexp is left.
-            // Next the regular expression for the yes/no template is used to strip away that part and only the answer that was typed in should be left.
-            tempStr = tempStr.toString().replace(financialRegex, '$1').replace(yesNoRegex, "");
-            // This uses the fillCheckRegex to check for any answer that should be left. If not answered then stops the audit here and fails.
-            if (!fillCheckRegex.test(tempStr)){
-                // Hazard analysis has not been completed.
-                hazardAnalysisComplete.auditDetails = "The financial question of the Hazard analysis must be answered.";
-                hazardAnalysisComplete.auditPassing = false;
-                // Post the audit results to the sub-task since it failed
-                await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
-                return resolve(hazardAnalysisComplete);
-            }
-        }
-        // Reassign tempStr to find answer to legal/regulatory question in the description body. The answer will be in an array.
-        tempStr = descriptionBody.match(legalRegex);
-        // If there is nothing returned then it is not the right template or something was altered to the point it was not caught.
-        if (tempStr === null) {
-            // If null leads to the correct template to use for the Hazard Analysis
-            hazardAnalysisComplete.auditDetails = `Legal/Regulatory description does not match expected description for Hazard Analysis. You can copy the description directly from the Perform Hazard Analysis 
-            sub-task found in the Story and Defect template; please clone Jira stories from the [Story and Defect template|${templateLink}]`;
-            hazardAnalysisComplete.auditPassing = false;
-            return resolve(hazardAnalysisComplete);
-        }
-        else{
-            // Here the description body is changed into a string from the initial array form. Next the matched regular expression for the question we are looking
-            // for is stripped downto the answer portion or $1 which is group one of the regular expression (the yes/no template and the answer part) of the regexp is left.
-            // Next the regular expression for the yes/no template is used to strip away that part and only the answer that was typed in should be left.
-            tempStr = tempStr.toString().replace(legalRegex, '$1').replace(yesNoRegex, "");
-            // This uses the fillCheckRegex to check for any answer that should be left. If not answered then stops the audit here and fails.
-            if (!fillCheckRegex.test(tempStr)){
-                // Hazard analysis has not been completed.
-                hazardAnalysisComplete.auditDetails = "The legal/regulatory question of the Hazard analysis must be answered.";
-                hazardAnalysisComplete.auditPassing = false;
-                // Post the audit results to the sub-task since it failed
-                await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
-                return resolve(hazardAnalysisComplete);
-            }
-        }
-        // Reassign tempStr to find answer to data integrity question in the description body. The answer will be in an array.
-        tempStr = descriptionBody.match(dataRegex);
-        // If there is nothing returned then it is not the right template or something was altered to the point it was not caught.
-        if (tempStr === null) {
-            // If null leads to the correct template to use for the Hazard Analysis
-            hazardAnalysisComplete.auditDetails = `Data Integrity description does not match expected description for Hazard Analysis. You can copy the description directly from the Perform Hazard Analysis 
-            sub-task found in the Story and Defect template; please clone Jira stories from the [Story and Defect template|${templateLink}]`;
-            hazardAnalysisComplete.auditPassing = false;
-            return resolve(hazardAnalysisComplete);
-        }
-        else{
-            // Here the description body is changed into a string from the initial array form. Next the matched regular expression for the question we are looking
-            // for is stripped downto the answer portion or $1 which is group one of the regular expression (the yes/no template and the answer part) of the regexp is left.
-            // Next the regular expression for the yes/no template is used to strip away that part and only the answer that was typed in should be left.
-            tempStr = tempStr.toString().replace(dataRegex, '$1').replace(yesNoRegex, "");
-            // This uses the fillCheckRegex to check for any answer that should be left. If not answered then stops the audit here and fails.
-            if (!fillCheckRegex.test(tempStr)){
-                // Hazard analysis has not been completed.
-                hazardAnalysisComplete.auditDetails = "The data integrity question of the Hazard analysis must be answered.";
-                hazardAnalysisComplete.auditPassing = false;
-                // Post the audit results to the sub-task since it failed
-                await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
-                return resolve(hazardAnalysisComplete);
-            }
-        }
-        // Reassign tempStr to find answer to patient safety question in the description body. The answer will be in an array.
-        tempStr = descriptionBody.match(patientRegex);
-        // If there is nothing returned then it is not the right template or something was altered to the point it was not caught.
-        if (tempStr === null) {
-            // If null leads to the correct template to use for the Hazard Analysis
-            hazardAnalysisComplete.auditDetails = `Patient Safety description does not match expected description for Hazard Analysis. You can copy the description directly from the Perform Hazard Analysis 
-            sub-task found in the Story and Defect template; please clone Jira stories from the [Story and Defect template|${templateLink}]`;
-            hazardAnalysisComplete.auditPassing = false;
-            return resolve(hazardAnalysisComplete);
-        }
-        else{
-            // Here the description body is changed into a string from the initial array form. Next the matched regular expression for the question we are looking
-            // for is stripped downto the answer portion or $1 which is group one of the regular expression (the yes/no template and the answer part) of the regexp is left.
-            // Next the regular expression for the yes/no template is used to strip away that part and only the answer that was typed in should be left.
-            tempStr = tempStr.toString().replace(patientRegex, '$1').replace(yesNoRegex, "");
-            // This uses the fillCheckRegex to check for any answer that should be left. If not answered then stops the audit here and fails.
-            if (!fillCheckRegex.test(tempStr)){
-                // Hazard analysis has not been completed.
-                hazardAnalysisComplete.auditDetails = "The patient safety question of the Hazard analysis must be answered.";
-                hazardAnalysisComplete.auditPassing = false;
-                // Post the audit results to the sub-task since it failed
-                await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
-                return resolve(hazardAnalysisComplete);
-            }
-        }
-        // Reassign tempStr to find answer to cybersecurity/information security question in the description body. The answer will be in an array.
-        tempStr = descriptionBody.match(cyberSecurityRegex);
-        // If there is nothing returned then it is not the right template or something was altered to the point it was not caught.
-        if (tempStr === null) {
-            // If null leads to the correct template to use for the Hazard Analysis
-            hazardAnalysisComplete.auditDetails = `CyberSecurity/Information description does not match expected description for Hazard Analysis. You can copy the description directly from the Perform Hazard Analysis 
-            sub-task found in the Story and Defect template located here ${templateLink}`;
-            hazardAnalysisComplete.auditPassing = false;
-            return resolve(hazardAnalysisComplete);
-        }
-        else{
-            // Here the description body is changed into a string from the initial array form. Next the matched regular expression for the question we are looking
-            // for is stripped downto the answer portion or $1 which is group one of the regular expression (the yes/no template and the answer part) of the regexp is left.
-            // Next the regular expression for the yes/no template is used to strip away that part and only the answer that was typed in should be left.
-            // Since this was the last question on the form it captures to the end of the description body and an added step here is to strip away the last part of
-            // the template if it is there before stripping away the yes/no template part.
-            tempStr = tempStr.toString().replace(cyberSecurityRegex, '$1').replace(new RegExp (/\**\s*Engineer.+/gims), "").replace(yesNoRegex, "");
-            // This uses the fillCheckRegex to check for any answer that should be left. If not answered then stops the audit here and fails.
-            if (!fillCheckRegex.test(tempStr)){
-                // Hazard analysis has not been completed.
-                hazardAnalysisComplete.auditDetails = "The cybersecurity/information question of the Hazard analysis must be answered.";
-                hazardAnalysisComplete.auditPassing = false;
-                // Post the audit results to the sub-task since it failed
-                await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
-                return resolve(hazardAnalysisComplete);
-            }
-        }
-
-        hazardAnalysisComplete.auditDetails = "Hazard analysis has been completed for this sub-task.";
-        hazardAnalysisComplete.auditPassing = true;
-
-        // Remove the audit failure comment from the story
-        await jiraHelpers.removeIssueAuditFailureComment(issue, hazardAnalysisComplete);
-
-        return resolve(hazardAnalysisComplete);
-    });
-}
-
-/**
- * This function checks for the hazard analysis to receive a '+1' from a reviewer other than the author
- * @param issue This issue to be audited to ensure the Hazard Analysis has been reviewed
- * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
- */
-function hazardAnalysisReviewed(issue){
-    return new Promise(async (resolve, reject) => {
-        const hazardAnalysisReviewed = new AuditDetails("Hazard Analysis Reviewed", issue);
-        const plusOneComments = jiraHelpers.findPlusOneComments(issue);
-
-        if(!plusOneComments.length){
-            hazardAnalysisReviewed.auditDetails = "Hazard Analysis must receive a '+1' comment from a reviewer other than the author before the sub-task can be closed.";
-            hazardAnalysisReviewed.auditPassing = false;
-
-            // Post the audit results to the sub-task since it failed
-            await jiraHelpers.postIssueAuditFailureComment(issue, hazardAnalysisReviewed);
-        }
-        else{
-            hazardAnalysisReviewed.auditDetails = "Hazard Analysis has received a '+1' comment from a reviewer other than the author.";
-            hazardAnalysisReviewed.auditPassing = true;
-
-            // Remove the audit failure comment from the story
-            await jiraHelpers.removeIssueAuditFailureComment(issue, hazardAnalysisReviewed);
-        }
-
-        return resolve(hazardAnalysisReviewed);
-    });
-}
-
-/**
- * This function will cleanse the parent issue and sub-task of all auditor comments and labels which have
- * been added by this sub-task auditor
- * @param issue The parent issue where the sub-task resides
- * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
- */
-async function cleanseSubTaskAudits(issue){
-    const cleanseSubTask = new AuditDetails("Hazard Analysis Sub-Task Cleanse", issue);
-    cleanseSubTask.auditDetails = "All audit comments and labels will be removed from this sub-task";
-
-    // Get the Hazard Analysis sub task
-    let subTask = jiraHelpers.getSubTaskByName(issue, auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
-    if(subTask){
-        await jiraHelpers.handlePassFailAuditResults(subTask, cleanseSubTask);
-    }
-    else{
-        await jiraHelpers.removeIssueAuditFailureCommentByName(issue, "Issue Requires A Hazard Analysis Sub-Task");
-    }
-
-    return cleanseSubTask;
-}
-
-module.exports = {
-    runHazardAnalysisAudits,
-    issueHasHazardAnalysisSubTask,
-    isNoWorkNeededResolutionValid,
-    hazardAnalysisComplete,
-    hazardAnalysisReviewed,
-    cleanseSubTaskAudits
-};
+const hazardAuditDependencies = require("./hazardAuditDependencies.js");
+const dependencies = hazardAuditDependencies.dependencies;
+const hazardQuestionSchema = require("./hazardQuestionSchema.js");
+const hazardDescriptionParser = require("./hazardDescriptionParser.js");
+const hazardAnswerRules = require("./hazardAnswerRules.js");
+const hazardDescriptionFormats = require("./hazardDescriptionFormats.js");
+const hazardAuditActions = require("./hazardAuditActions.js");
+const hazardIssueHistory = require("./hazardIssueHistory.js");
+const hazardJiraLookups = require("./hazardJiraLookups.js");
+const hazardAuditPolicy = require("./hazardAuditPolicy.js");
+const hazardTemplateRemediation = require("./hazardTemplateRemediation.js");
+const hazardAnswerHistory = require("./hazardAnswerHistory.js");
+const hazardAuditMessages = require("./hazardAuditMessages.js");
+const hazardAuditEvents = require("./hazardAuditEvents.js");
+
+const QUESTION_STATUS = hazardDescriptionParser.QUESTION_STATUS;
+
+/**
+ * This function runs all the required audits relating to the Hazard Analysis sub-task for an issue.
+ * @param issue The issue on which to perform the Hazard Analysis audits
+ * @param options Optional settings for the audit run:
+ *  - mode: hazardAuditActions.AUDIT_MODE.APPLY (default) updates Jira as the audits run.  hazardAuditActions.AUDIT_MODE.REPORT
+ *    only computes the results and collects every intended Jira update on the plannedActions property of the returned
+ *    AuditDetails, which can then be passed to hazardAuditActions.applyPlannedActions or discardPlannedActions.
+ *  - questionSchema: the loaded question schema to audit against.  Defaults to the schema in hazardAnalysisQuestions.json
+ *  - auditPolicy: the loaded audit policy deciding which issues are exempt.  Defaults to the policy in hazardAuditPolicies.json
+ *  - sharedAnalyses: a Map shared across the runs for several issues.  A linked Hazard Analysis sub-task which several
+ *    stories link to is then audited once and counted as one shared analysis.
+ *  - remediate: when true a missing Hazard Analysis sub-task is created with the template description, and a description
+ *    which no longer matches the template gets a comment proposing a repaired description for the assignee to accept.
+ *    In report mode these are planned actions like any other Jira update.
+ *  - locale: the locale of the audit messages, such as "de" or "hi", see hazardAuditMessages.json.  Every AuditDetails
+ *    keeps the id and placeholder values of its message on the messageId and messageParams properties.
+ *  - onAuditEvent: called with a structured event for every audit step (its name, outcome, failure reason and duration)
+ *    and one for the run of the issue, see hazardAuditEvents.js.  Store them with hazardAuditMetricsStore.js to follow
+ *    trends with hazardAuditReport.js.
+ *  - resolveTeam: called with the issue to name the team reported in the events.  Defaults to the project key.
+ *  - retryPolicy: the maxRetries and retryDelayMs of the Jira requests of this run which are rate limited, see
+ *    hazardAuditDependencies.withRequestRetryPolicy.  Defaults to the policy of the batch running the audit, if any.
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.  Its
+ *  auditIgnored property is set when the issue is exempt from the audit, with the policy rule which applied in
+ *  appliedPolicyRule, its questionResults, approvals, review and answerHistory properties
+ *  hold the answer to each question, the reviewers, the outcome of the review sign-off audit (null when the review was
+ *  not audited because the form is incomplete) and the changes to each answer of the audited Hazard Analysis, and the issueKey, subTaskKey,
+ *  analysisKey (the linked sub-task actually audited), ruleVersion and auditedAt properties identify the audit.  The
+ *  auditPath property names the path the audit took, see hazardAuditEvents.AUDIT_PATHS, and auditEvents holds the
+ *  events emitted for the issue.
+ */
+async function runHazardAnalysisAudits(issue, options = {}){
+    if(options.retryPolicy){
+        return hazardAuditDependencies.withRequestRetryPolicy(options.retryPolicy, () => runAuditsWithEvents(issue, options));
+    }
+    return runAuditsWithEvents(issue, options);
+}
+
+async function runAuditsWithEvents(issue, options){
+    const events = hazardAuditEvents.createAuditEventEmitter(issue, options);
+    let hazardAnalysisAuditDetails;
+
+    try{
+        hazardAnalysisAuditDetails = await auditHazardAnalysis(issue, options, events);
+    }
+    catch(error){
+        events.finish(null, error);
+        throw error;
+    }
+
+    hazardAnalysisAuditDetails.auditEvents = events.events;
+    events.finish(hazardAnalysisAuditDetails);
+    return hazardAnalysisAuditDetails;
+}
+
+async function auditHazardAnalysis(issue, options, events){
+    const actions = hazardAuditActions.createAuditActions(options.mode, options.locale);
+    const questionSchema = options.questionSchema || hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA;
+    const lookups = hazardJiraLookups.createJiraLookups();
+    let auditDetail;
+    let auditingSubTaskLink = false;
+    let originalHazardSubTask;
+    let linkChain;
+    const allAuditResults = [];
+
+    // Get the Hazard Analysis sub task
+    let defineHazardAnalysis = dependencies.jiraHelpers.getSubTaskByName(issue, dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
+
+    // Create the Hazard Analysis sub task audit details object to populate.  If there is a Hazard Analysis sub task, that link will be used.
+    // Else, the parent issue will be populated
+    const hazardAnalysisAuditDetails = new dependencies.AuditDetails("Hazard Analysis Sub-Task Audit", defineHazardAnalysis || issue);
+    hazardAnalysisAuditDetails.plannedActions = actions.plannedActions;
+
+    // Record what was audited, when and against which version of the rules so the results can be exported as evidence
+    hazardAnalysisAuditDetails.issueKey = issue.key;
+    hazardAnalysisAuditDetails.subTaskKey = defineHazardAnalysis ? defineHazardAnalysis.key : null;
+    hazardAnalysisAuditDetails.analysisKey = null;
+    hazardAnalysisAuditDetails.ruleVersion = questionSchema.version;
+    hazardAnalysisAuditDetails.auditedAt = new Date().toISOString();
+
+    // Check the audit policy to see if this issue is exempt from the audit.  Any issue resolved before the audit became
+    // effective for its project and issue type is grandfathered in, and exemptions and ignore labels skip the audit entirely.
+    const policyDecision = await hazardAuditPolicy.evaluateAuditPolicy(issue, options.auditPolicy || hazardAuditPolicy.DEFAULT_AUDIT_POLICY, lookups);
+    hazardAnalysisAuditDetails.appliedPolicyRule = policyDecision.appliedRule;
+    if(policyDecision.exempt){
+        hazardAnalysisAuditDetails.auditPath = hazardAuditEvents.AUDIT_PATHS.IGNORED;
+        hazardAnalysisAuditDetails.auditPassing = true;
+        hazardAnalysisAuditDetails.auditIgnored = true;
+        hazardAuditMessages.setAuditMessage(hazardAnalysisAuditDetails, "policy.ignored", {
+            reason: policyDecision.appliedRule.message,
+            ruleType: policyDecision.appliedRule.type,
+            ruleId: policyDecision.appliedRule.id
+        }, actions.locale);
+
+        // Cleanse all of the sub-task comments unless the issue was grandfathered in, since those were never audited
+        if(policyDecision.appliedRule.type !== hazardAuditPolicy.POLICY_RULE_TYPES.EFFECTIVE_DATE){
+            await cleanseSubTaskAudits(issue, actions);
+        }
+        return hazardAnalysisAuditDetails;
+    }
+
+    // An ignore label which has expired or was not added by an approver does not exempt the issue, so say why on the issue
+    let stepStart = Date.now();
+    auditDetail = new dependencies.AuditDetails("Hazard Analysis Ignore Label Validation", issue);
+    if(policyDecision.rejectedIgnoreLabels.length){
+        hazardAuditMessages.setAuditMessage(auditDetail, "policy.ignoreLabelRejected", {
+            rejections: hazardAuditMessages.messageList(policyDecision.rejectedIgnoreLabels.map(rejected => ({
+                messageId: "policy.ignoreLabelRejection",
+                params: {reason: rejected.reasonMessage, ruleType: hazardAuditPolicy.POLICY_RULE_TYPES.IGNORE_LABEL, ruleId: rejected.ruleId}
+            })), "; ")
+        }, actions.locale);
+        auditDetail.auditPassing = false;
+        await actions.postIssueAuditFailureComment(issue, auditDetail);
+        hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+        events.record(auditDetail, stepStart);
+    }
+    else{
+        await actions.removeIssueAuditFailureComment(issue, auditDetail);
+    }
+
+    // Check to see if there is even a Hazard Analysis sub task before performing audits on it
+    auditDetail = await events.step(() => issueHasHazardAnalysisSubTask(issue, actions, options.remediate, questionSchema));
+    hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+    if (!auditDetail.auditPassing) {
+        hazardAnalysisAuditDetails.auditPath = hazardAuditEvents.AUDIT_PATHS.MISSING_SUB_TASK;
+        return hazardAnalysisAuditDetails;
+    }
+
+    // Check to see if the sub-task has been closed as no work necessary and validate if so
+    auditDetail = await events.step(() => isNoWorkNeededResolutionValid(issue, defineHazardAnalysis, actions));
+    if(auditDetail) {
+        hazardAnalysisAuditDetails.auditPath = hazardAuditEvents.AUDIT_PATHS.NO_WORK_NEEDED;
+        hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+        await actions.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
+        return hazardAnalysisAuditDetails;
+    }
+
+    // Check to see if there is an issueLink which links out to another "Hazard Analysis" sub-task
+    const subTaskLinks = getHazardAnalysisLinks(defineHazardAnalysis);
+    if(subTaskLinks && subTaskLinks.length){
+        hazardAnalysisAuditDetails.auditPath = hazardAuditEvents.AUDIT_PATHS.LINKED_SUB_TASK;
+        auditDetail = await events.step(() => issueHasOneSubTaskLink(defineHazardAnalysis, actions));
+        hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+        if(!auditDetail.auditPassing){
+            // Since there are more than two sub-tasks linked fail hard and fast
+            await actions.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
+            return hazardAnalysisAuditDetails;
+        }
+
+        // Follow the chain of linked Hazard Analysis sub-tasks to the one which holds the shared analysis
+        stepStart = Date.now();
+        linkChain = await resolveHazardAnalysisLinkChain(defineHazardAnalysis, subTaskLinks[0], questionSchema.linkedSubTasks.maxDepth);
+        if(linkChain.error){
+            // The chain cannot be resolved to a single analysis so fail hard and fast with the chain that was followed
+            auditDetail = new dependencies.AuditDetails("Linked Hazard Analysis Sub-Task Audit", defineHazardAnalysis);
+            hazardAuditMessages.setAuditMessage(auditDetail, "linkedSubTask.chainInvalid", {error: linkChain.error, chain: formatLinkChain(linkChain.chain)}, actions.locale);
+            auditDetail.auditPassing = false;
+            auditDetail.linkChain = linkChain.chain.map(linkedSubTask => linkedSubTask.key);
+
+            await actions.postIssueAuditFailureComment(defineHazardAnalysis, auditDetail, true);
+            hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+            events.record(auditDetail, stepStart);
+            await actions.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
+            return hazardAnalysisAuditDetails;
+        }
+
+        // Set flag to indicate that audits are running on a linked sub-task
+        auditingSubTaskLink = true;
+
+        // Save off a reference to the original code review sub-task and reassign defineHazardAnalysis to the linked sub-task at the end of the chain
+        originalHazardSubTask = defineHazardAnalysis;
+        defineHazardAnalysis = linkChain.target;
+
+        // Perform audits on the current sub-task before we perform them on the linked sub task
+        hazardAnalysisAuditDetails.addAuditResults(await events.step(() => dependencies.subTaskAudits.subTaskClosed(originalHazardSubTask)));
+        hazardAnalysisAuditDetails.addAuditResults(await events.step(() => dependencies.commonAudits.isAssigneeIndicated(originalHazardSubTask)));
+    }
+    else{
+        hazardAnalysisAuditDetails.auditPath = hazardAuditEvents.AUDIT_PATHS.SUB_TASK;
+        allAuditResults.push(await events.step(() => dependencies.subTaskAudits.subTaskClosed(defineHazardAnalysis)));
+    }
+
+    // Perform the core audits for this sub-task.  A shared analysis linked from several stories is only audited once
+    // per run when a sharedAnalyses cache is given; every other story linking to it reuses those results, and the events
+    // of those audits are only emitted for the story which ran them.
+    const sharedAnalyses = auditingSubTaskLink ? options.sharedAnalyses : null;
+    let sharedAnalysis = sharedAnalyses && sharedAnalyses.get(defineHazardAnalysis.key);
+    if(!sharedAnalysis){
+        sharedAnalysis = {linkedFrom: [], auditResults: runCoreHazardAnalysisAudits(defineHazardAnalysis, questionSchema, actions, options.remediate, events, lookups)};
+        if(sharedAnalyses){
+            sharedAnalyses.set(defineHazardAnalysis.key, sharedAnalysis);
+        }
+    }
+    sharedAnalysis.linkedFrom.push(issue.key);
+    allAuditResults.push(...await sharedAnalysis.auditResults);
+
+    // Keep the answer to each question on the audit details for the issue, since the audits of a linked sub-task are folded into one comment
+    auditDetail = allAuditResults.find(audit => audit.questionResults);
+    hazardAnalysisAuditDetails.questionResults = auditDetail ? auditDetail.questionResults : null;
+    hazardAnalysisAuditDetails.analysisKey = defineHazardAnalysis.key;
+    const reviewedAudit = allAuditResults.find(audit => audit.approvals);
+    hazardAnalysisAuditDetails.approvals = reviewedAudit ? reviewedAudit.approvals : [];
+    hazardAnalysisAuditDetails.review = reviewedAudit ? {auditPassing: reviewedAudit.auditPassing, auditDetails: reviewedAudit.auditDetails, messageId: reviewedAudit.messageId} : null;
+    const historyAudit = allAuditResults.find(audit => audit.answerHistory);
+    hazardAnalysisAuditDetails.answerHistory = historyAudit ? historyAudit.answerHistory : [];
+    // A Yes answer on a high risk question needs additional evidence and is escalated to the parent issue.  The escalation
+    // belongs to this issue, so it is reported on the issue's own sub-task even when the analysis is shared through a link.
+    let riskEscalationAudit = null;
+    if(auditDetail && auditDetail.auditPassing){
+        riskEscalationAudit = await events.step(() => hazardRiskEscalation(issue, originalHazardSubTask || defineHazardAnalysis, auditDetail.questionResults, questionSchema, actions, defineHazardAnalysis, lookups));
+    }
+
+    // If we are auditing a linked sub-task we need to combine the audit details into one audit
+    if(auditingSubTaskLink){
+        stepStart = Date.now();
+        let auditComment = "\n\n";
+
+        // Combine all the subTask audits into one comment body
+        allAuditResults.forEach( audit => {
+            if(!audit.auditPassing){
+                auditComment += dependencies.jiraHelpers.generateAuditCommentText(audit) + "\n\n";
+            }
+        });
+
+        // loop through the allAuditRseults and see if any failed.  If so post them to the original sub-task
+        auditDetail = new dependencies.AuditDetails("Linked Hazard Analysis Sub-Task Audit", originalHazardSubTask);
+        auditDetail.linkChain = linkChain.chain.map(linkedSubTask => linkedSubTask.key);
+        auditDetail.sharedWith = sharedAnalysis.linkedFrom.filter(issueKey => issueKey !== issue.key);
+        if(!allAuditResults.every( audit => audit.auditPassing)){
+            hazardAuditMessages.setAuditMessage(auditDetail, "linkedSubTask.failing", {chain: formatLinkChain(linkChain.chain), auditComments: auditComment}, actions.locale);
+            auditDetail.auditPassing = false;
+
+            // post the details out to the sub-task
+            await actions.postIssueAuditFailureComment(originalHazardSubTask, auditDetail, true);
+        }
+        else{
+            hazardAuditMessages.setAuditMessage(auditDetail, "linkedSubTask.passing", {chain: formatLinkChain(linkChain.chain), auditComments: auditComment}, actions.locale);
+            auditDetail.auditPassing = true;
+
+            // Remove the audit failure comment from the story
+            await actions.removeIssueAuditFailureComment(originalHazardSubTask, auditDetail);
+        }
+
+        // Save this as the audit since it was a linked sub-task
+        hazardAnalysisAuditDetails.addAuditResults(auditDetail);
+        events.record(auditDetail, stepStart);
+
+        // Reassign to the original sub-task
+        defineHazardAnalysis = originalHazardSubTask;
+    }
+    else{
+        // Remove any Linked Issue audit failure messages since an issue is no longer linked
+        await actions.removeIssueAuditFailureCommentByName(defineHazardAnalysis, "Linked Hazard Analysis Sub-Task Audit");
+        // Add the audit details to the auditDetails object for this issue
+        hazardAnalysisAuditDetails.addAuditResults(allAuditResults);
+    }
+    if(riskEscalationAudit){
+        hazardAnalysisAuditDetails.addAuditResults(riskEscalationAudit);
+    }
+
+    await actions.handlePassFailAuditResults(defineHazardAnalysis, hazardAnalysisAuditDetails);
+    return hazardAnalysisAuditDetails;
+}
+
+/**
+ * This function runs the audits which check the content of a Hazard Analysis sub-task: assignee, completion of the form,
+ * review and the answers left unchanged since the sign-off.
+ * @param subTask The Hazard Analysis sub-task holding the analysis
+ * @param questionSchema The loaded question schema to audit against
+ * @param actions The actions object used to update Jira
+ * @param remediate Whether to propose a repaired description when the description no longer matches the template
+ * @param events The event emitter of the audit run, see hazardAuditEvents.createAuditEventEmitter
+ * @param lookups The Jira lookups of the audit run, see hazardJiraLookups.js
+ * @returns {Promise<Array>} The AuditDetails of each audit which was run
+ */
+async function runCoreHazardAnalysisAudits(subTask, questionSchema, actions, remediate, events, lookups){
+    const auditResults = [];
+
+    // The review and the answer history audits judge the same sign-offs, so the policy is applied to them once
+    const signOffs = await evaluateSignOffs(subTask, questionSchema.signOff, lookups);
+
+    auditResults.push(await events.step(() => dependencies.commonAudits.isAssigneeIndicated(subTask)));
+    const completeAudit = await events.step(() => hazardAnalysisComplete(subTask, questionSchema, actions, remediate));
+    auditResults.push(completeAudit);
+    if(completeAudit.auditPassing){
+        auditResults.push(await events.step(() => hazardAnalysisReviewed(subTask, questionSchema, actions, signOffs)));
+    }
+    auditResults.push(await events.step(() => hazardAnswersUnchangedAfterSignOff(subTask, questionSchema, actions, signOffs, lookups)));
+
+    return auditResults;
+}
+
+/**
+ * This function evaluates if a Hazard Analysis sub-task links to exactly one other Hazard Analysis sub-task
+ * @param subTask The Hazard Analysis sub-task to audit
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the sub-task.
+ */
+async function issueHasOneSubTaskLink(subTask, actions = hazardAuditActions.createAuditActions()){
+    const hasOneSubTaskLink = new dependencies.AuditDetails("Hazard Analysis Sub-Task Has One Link", subTask);
+    const subTaskLinks = getHazardAnalysisLinks(subTask);
+
+    if(subTaskLinks.length !== 1){
+        hazardAuditMessages.setAuditMessage(hasOneSubTaskLink, "subTaskLink.tooMany", {
+            count: subTaskLinks.length,
+            linkedKeys: subTaskLinks.map(issueLink => getLinkedIssueKey(issueLink)).join(", ")
+        }, actions.locale);
+        hasOneSubTaskLink.auditPassing = false;
+
+        // Post the audit results to the sub-task since it failed
+        await actions.postIssueAuditFailureComment(subTask, hasOneSubTaskLink);
+    }
+    else{
+        hazardAuditMessages.setAuditMessage(hasOneSubTaskLink, "subTaskLink.single", {linkedKey: getLinkedIssueKey(subTaskLinks[0])}, actions.locale);
+        hasOneSubTaskLink.auditPassing = true;
+
+        // Remove the audit failure comment from the sub-task
+        await actions.removeIssueAuditFailureComment(subTask, hasOneSubTaskLink);
+    }
+
+    return hasOneSubTaskLink;
+}
+
+/**
+ * This function follows a chain of linked Hazard Analysis sub-tasks, such as story A's sub-task linking to story B's
+ * sub-task which links to story C's, until it reaches the sub-task holding the analysis.
+ * @param subTask The Hazard Analysis sub-task of the issue being audited
+ * @param firstLink The Hazard Analysis issue link of that sub-task to follow
+ * @param maxDepth The maximum number of links to follow
+ * @returns {Promise<{chain: Array, target: Object, error: Object}>} Every sub-task in the chain starting with subTask,
+ *  the sub-task at the end of the chain, and the message, as {messageId, params}, of why the chain could not be resolved
+ *  (null when it was)
+ */
+async function resolveHazardAnalysisLinkChain(subTask, firstLink, maxDepth){
+    const chain = [subTask];
+    let nextLinks = [firstLink];
+
+    while(nextLinks.length){
+        const current = chain[chain.length - 1];
+        if(nextLinks.length > 1){
+            return {chain, target: null, error: {messageId: "linkedSubTask.fork", params: {key: current.key}}};
+        }
+
+        const linkedKey = getLinkedIssueKey(nextLinks[0]);
+        if(linkedKey === current.key){
+            return {chain, target: null, error: {messageId: "linkedSubTask.selfLink", params: {key: current.key}}};
+        }
+        if(chain.some(linkedSubTask => linkedSubTask.key === linkedKey)){
+            return {chain, target: null, error: {messageId: "linkedSubTask.cycle", params: {key: current.key, linkedKey}}};
+        }
+        if(chain.length > maxDepth){
+            return {chain, target: null, error: {messageId: "linkedSubTask.tooDeep", params: {maxDepth}}};
+        }
+
+        chain.push(await dependencies.jiraHelpers.getIssueFromLink(nextLinks[0], dependencies.jira2Fields.DEFAULT_SUBTASK_FIELDS));
+        nextLinks = getHazardAnalysisLinks(chain[chain.length - 1]);
+    }
+
+    return {chain, target: chain[chain.length - 1], error: null};
+}
+
+/**
+ * This function returns the links from a sub-task to other Hazard Analysis sub-tasks.  Jira records every link on both
+ * issues, so only the outward links, which were created on this sub-task, are treated as this sub-task linking to
+ * another analysis.  The inward side is the link back from a sub-task which defers to this one, such as the stories
+ * sharing this analysis, and is not followed.
+ * @param subTask The sub-task whose links are returned
+ * @returns {Array} The outward issue links to other Hazard Analysis sub-tasks
+ */
+function getHazardAnalysisLinks(subTask){
+    return (subTask.fields.issuelinks || []).filter(issueLink => issueLink.outwardIssue &&
+        dependencies.jiraHelpers.isSubtaskLinkOfType(issueLink, dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS));
+}
+
+function getLinkedIssueKey(issueLink){
+    return issueLink.outwardIssue.key;
+}
+
+function formatLinkChain(chain){
+    return chain.map(linkedSubTask => linkedSubTask.key).join(" -> ");
+}
+
+/**
+ * This function evaluates if there is a Hazard Analysis sub-task for this issue
+ * @param issue The issue to audit for the Hazard Analysis sub-task
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @param remediate Whether to create the missing Hazard Analysis sub-task with the template description.  Defaults to false
+ * @param questionSchema The loaded question schema the template description is built from.  Defaults to the schema in hazardAnalysisQuestions.json
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.  When the
+ *  sub-task is created its description is kept on the createdSubTaskDescription property.
+ */
+async function issueHasHazardAnalysisSubTask(issue, actions = hazardAuditActions.createAuditActions(), remediate = false, questionSchema = hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA){
+    const issueHasHazardAnalysisTask = new dependencies.AuditDetails("Issue Requires A Hazard Analysis Sub-Task", issue);
+
+    // Get the Hazard Analysis sub task
+    const hazardAnalysisTask = dependencies.jiraHelpers.getSubTaskByName(issue, dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
+
+    // Check to see if a Hazard Analysis sub task exists and fail if not
+    if(!hazardAnalysisTask){
+        // Fail the audit for not having a Hazard Analysis sub task
+        hazardAuditMessages.setAuditMessage(issueHasHazardAnalysisTask, "subTask.missing", {}, actions.locale);
+        issueHasHazardAnalysisTask.auditPassing = false;
+
+        // Create the sub-task from the template so only the questions are left to answer.  The audit still fails until they are
+        if(remediate){
+            issueHasHazardAnalysisTask.createdSubTaskDescription = hazardTemplateRemediation.buildTemplateDescription(questionSchema);
+            await actions.createSubTask(issue, dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS, issueHasHazardAnalysisTask.createdSubTaskDescription);
+            hazardAuditMessages.setAuditMessage(issueHasHazardAnalysisTask, "subTask.created", {}, actions.locale);
+        }
+
+        // Post the audit results to the parent issue
+        await actions.postIssueAuditFailureComment(issue, issueHasHazardAnalysisTask);
+    }
+    else{
+        // Pass the audit for having a Hazard Analysis sub task
+        hazardAuditMessages.setAuditMessage(issueHasHazardAnalysisTask, "subTask.present", {}, actions.locale);
+        issueHasHazardAnalysisTask.auditPassing = true;
+
+        // Remove the audit failure comment from the story
+        await actions.removeIssueAuditFailureComment(issue, issueHasHazardAnalysisTask);
+    }
+
+    return issueHasHazardAnalysisTask;
+}
+
+/**
+ * This functions check to see if a 'No Work Needed' resolution is applied to the sub-task and then checks to see
+ * if that resolution is valid.
+ * @param parentIssue The parent issue for the sub-task.  Will be used to see if the parent issue has been closed
+ *  with a 'No Work Needed' resolution.
+ * @param subTask The sub-task to audit for a 'No Work Needed' resolution.
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @returns {Promise<any>} The AuditDetails results for this audit
+ */
+async function isNoWorkNeededResolutionValid(parentIssue, subTask, actions = hazardAuditActions.createAuditActions()){
+    const noWorkNeededValid = new dependencies.AuditDetails("Hazard Analysis No Work Needed Resolution Validation", subTask);
+
+    // Check to ensure the issue has been closed with a no work needed resolution
+    if(!dependencies.jiraHelpers.issueHasNoWorkNeededResolution(subTask)){
+        await actions.removeIssueAuditFailureComment(subTask, noWorkNeededValid);
+        return null;
+    }
+
+    // Check the parent issue status and if it is marked as no work being done then accept the status
+    if(dependencies.jiraHelpers.issueHasNoWorkNeededResolution(parentIssue)){
+        // Pass the audit since the parent issue is in a valid status for this sub-task to be in a no work needed resolution
+        hazardAuditMessages.setAuditMessage(noWorkNeededValid, "noWorkNeeded.valid", {
+            resolution: subTask.fields.resolution.name,
+            parentResolution: parentIssue.fields.resolution.name
+        }, actions.locale);
+        noWorkNeededValid.auditPassing = true;
+
+        // Remove the audit failure comment from the story
+        await actions.removeIssueAuditFailureComment(subTask, noWorkNeededValid);
+    }
+    else{
+        // Fail the audit since this hazard analysis is required for all stories
+        hazardAuditMessages.setAuditMessage(noWorkNeededValid, "noWorkNeeded.invalid", {}, actions.locale);
+        noWorkNeededValid.auditPassing = false;
+
+        // Post the audit results to the parent issue
+        await actions.postIssueAuditFailureComment(subTask, noWorkNeededValid);
+    }
+
+    return noWorkNeededValid;
+}
+
+/**
+ * This function checks the description of the Hazard Analysis to ensure the form has been answered.  The description is
+ * parsed against the Hazard Analysis question schema and every question is reported as answered, unanswered, invalid or
+ * missing.  Answers must start with Yes or No, must not be a filler phrase and a Yes must be explained.  The description
+ * may be wiki markup, Markdown or an ADF document; the detected format is kept on the descriptionFormat property.
+ * Headings which were only found with a typo, without their colon or out of order do not fail the audit; they are listed
+ * in the audit details and kept on the warnings property.
+ * The per-question breakdown (status, extracted answer, classification and reason) is kept on the questionResults property of the returned
+ * AuditDetails and all unanswered questions are listed in a single failure comment.
+ * @param issue The issue to be audited for completion of the Hazard Analysis
+ * @param questionSchema The loaded question schema to audit against.  Defaults to the schema in hazardAnalysisQuestions.json
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @param remediate Whether to propose a repaired description when a question heading is missing.  The proposal is the
+ *  template with every recovered answer merged back in, kept on the proposedDescription property and posted as a
+ *  separate comment rather than overwriting the description.  Defaults to false
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
+ */
+async function hazardAnalysisComplete(issue, questionSchema = hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA, actions = hazardAuditActions.createAuditActions(), remediate = false){
+    const hazardAnalysisComplete = new dependencies.AuditDetails("Hazard Analysis Completed", issue);
+
+    // Parse the answer to every question out of the description body, then classify each answer as Yes, No or unclear
+    // and reject answers which do not meet the answer-quality rules.  The results are kept on the audit details
+    const questionResults = hazardDescriptionParser.parseHazardDescription(issue.fields.description, questionSchema)
+        .map((result, index) => hazardAnswerRules.applyAnswerRules(result, questionSchema.answerRules, questionSchema.questions[index]));
+    hazardAnalysisComplete.questionResults = questionResults;
+    hazardAnalysisComplete.descriptionFormat = hazardDescriptionFormats.detectDescriptionFormat(issue.fields.description);
+
+    // Headings which were misspelled, missing their colon or moved around are still read but are pointed out
+    hazardAnalysisComplete.warnings = questionResults.reduce((warnings, result) => warnings.concat(result.warnings), []);
+    const warningMessages = questionResults.reduce((warnings, result) => warnings.concat(result.warningMessages), []);
+    const warningsMessage = warningMessages.length ?
+        {messageId: "complete.warnings", params: {warnings: warningMessages.map(warning => ({messageId: "complete.warning", params: {warning}}))}} : "";
+
+    // Every question is checked in one pass so all of the gaps can be reported together
+    const incompleteQuestions = questionResults.filter(result => result.required && result.status !== QUESTION_STATUS.ANSWERED);
+    if(incompleteQuestions.length){
+        // If a heading is missing then it is not the right template or something was altered to the point it was not caught, so lead to the correct template
+        const templateMismatch = incompleteQuestions.some(result => result.status === QUESTION_STATUS.MISSING);
+        hazardAuditMessages.setAuditMessage(hazardAnalysisComplete, "complete.incomplete", {
+            questions: generateQuestionResultMessages(incompleteQuestions),
+            templateHint: templateMismatch ? {messageId: "complete.templateHint"} : "",
+            warnings: warningsMessage
+        }, actions.locale);
+        hazardAnalysisComplete.auditPassing = false;
+
+        if(remediate && templateMismatch){
+            hazardAnalysisComplete.proposedDescription = await proposeDescriptionRepair(issue, questionResults, questionSchema, actions);
+        }
+        else if(remediate){
+            await actions.removeIssueAuditFailureCommentByName(issue, "Hazard Analysis Proposed Description");
+        }
+
+        // Post one consolidated audit result to the sub-task since it failed
+        await actions.postIssueAuditFailureComment(issue, hazardAnalysisComplete, true);
+        return hazardAnalysisComplete;
+    }
+
+    hazardAuditMessages.setAuditMessage(hazardAnalysisComplete, "complete.passing", {warnings: warningsMessage}, actions.locale);
+    hazardAnalysisComplete.auditPassing = true;
+
+    // Remove the audit failure comment from the story
+    await actions.removeIssueAuditFailureComment(issue, hazardAnalysisComplete);
+    if(remediate){
+        await actions.removeIssueAuditFailureCommentByName(issue, "Hazard Analysis Proposed Description");
+    }
+
+    return hazardAnalysisComplete;
+}
+
+/**
+ * This function posts a repaired description for a Hazard Analysis whose description no longer matches the template,
+ * for the assignee to copy into the description
+ * @param issue The Hazard Analysis sub-task
+ * @param questionResults The question results parsed from its description
+ * @param questionSchema The loaded question schema the template is built from
+ * @param actions The actions object used to update Jira
+ * @returns {Promise<string>} The proposed description
+ */
+async function proposeDescriptionRepair(issue, questionResults, questionSchema, actions){
+    const proposal = hazardTemplateRemediation.proposeRepairedDescription(questionResults, questionSchema);
+    const proposalAudit = new dependencies.AuditDetails("Hazard Analysis Proposed Description", issue);
+    const recoveredHeadings = questionResults.filter(result => proposal.recoveredQuestions.includes(result.id)).map(result => result.heading);
+
+    hazardAuditMessages.setAuditMessage(proposalAudit, "proposal.description", {
+        recovery: recoveredHeadings.length ? {messageId: "proposal.recovered", params: {headings: recoveredHeadings.join(", ")}} : {messageId: "proposal.nothingRecovered"},
+        description: proposal.description
+    }, actions.locale);
+    proposalAudit.auditPassing = false;
+    await actions.postIssueAuditFailureComment(issue, proposalAudit);
+
+    return proposal.description;
+}
+
+/**
+ * This function generates the wiki markup list used in the audit comment for the given hazard question results
+ * @param questionResults The question results from the questionResults property of the "Hazard Analysis Completed" AuditDetails
+ * @param locale The locale of the text.  Defaults to the default locale of the message catalog
+ * @returns {string} One bulleted line per question with its status and the reason it failed, if any
+ */
+function generateQuestionResultsText(questionResults, locale){
+    return generateQuestionResultMessages(questionResults)
+        .map(message => hazardAuditMessages.formatMessage(message.messageId, message.params, {locale}))
+        .join("\n");
+}
+
+function generateQuestionResultMessages(questionResults){
+    return questionResults.map(result => ({
+        messageId: result.reason ? "complete.questionResultWithReason" : "complete.questionResult",
+        params: {heading: result.heading, status: {messageId: `questionStatus.${result.status}`}, reason: result.reasonMessage}
+    }));
+}
+
+/**
+ * This function escalates any high risk question of the Hazard Analysis, such as Patient Safety or CyberSecurity, which
+ * has been answered Yes.  An escalated Hazard Analysis requires additional evidence before it passes: a linked risk or
+ * mitigation issue, one of the evidence labels, or a '+1' from a member of the safety reviewer group.  The parent issue
+ * is flagged with the configured label for as long as the escalation applies.
+ * @param parentIssue The parent issue of the Hazard Analysis sub-task, which will be flagged
+ * @param subTask The Hazard Analysis sub-task of the parent issue, which the escalation is reported on
+ * @param questionResults The questionResults of the "Hazard Analysis Completed" audit of the analysis
+ * @param questionSchema The loaded question schema which marks the high risk questions and holds the escalation settings
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @param analysisSubTask The sub-task holding the analysis, when the sub-task of the parent issue links to the shared
+ *  analysis of another story.  Evidence is looked for on it as well.  Defaults to subTask
+ * @param lookups The Jira lookups of the audit run, see hazardJiraLookups.js.  Defaults to lookups of its own
+ * @returns {Promise<AuditDetails>} The AuditDetails results for this audit, or null if no high risk question was answered Yes
+ */
+async function hazardRiskEscalation(parentIssue, subTask, questionResults, questionSchema = hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA, actions = hazardAuditActions.createAuditActions(), analysisSubTask = subTask, lookups = hazardJiraLookups.createJiraLookups()){
+    const hazardRiskEscalation = new dependencies.AuditDetails("Hazard Analysis Risk Escalation", subTask);
+    const escalationSettings = questionSchema.riskEscalation;
+    const highRiskIds = questionSchema.questions.filter(question => question.highRisk).map(question => question.id);
+
+    // Find every high risk question which has been answered Yes
+    const escalations = (questionResults || [])
+        .filter(result => highRiskIds.includes(result.id) && result.classification === hazardAnswerRules.ANSWER_CLASSIFICATION.YES)
+        .map(result => ({id: result.id, heading: result.heading, answer: result.answer}));
+
+    if(!escalations.length){
+        // Nothing to escalate so remove any flag and failure comment left from a previous escalation
+        if(escalationSettings.parentFlagLabel && dependencies.jiraHelpers.issueContainsAnyLabel(parentIssue, [escalationSettings.parentFlagLabel])){
+            await actions.removeIssueLabels(parentIssue, [escalationSettings.parentFlagLabel]);
+        }
+        await actions.removeIssueAuditFailureComment(subTask, hazardRiskEscalation);
+        return null;
+    }
+    hazardRiskEscalation.escalations = escalations;
+
+    // Flag the parent issue so the escalation is visible to everyone working the story
+    if(escalationSettings.parentFlagLabel && !dependencies.jiraHelpers.issueContainsAnyLabel(parentIssue, [escalationSettings.parentFlagLabel])){
+        await actions.addIssueLabels(parentIssue, [escalationSettings.parentFlagLabel]);
+    }
+
+    const evidence = await findRiskEscalationEvidence([parentIssue, subTask, analysisSubTask], escalationSettings, lookups);
+    hazardRiskEscalation.evidence = evidence;
+    const headings = escalations.map(escalation => escalation.heading).join(", ");
+
+    if(evidence.length){
+        hazardAuditMessages.setAuditMessage(hazardRiskEscalation, "riskEscalation.escalated", {
+            headings,
+            evidence: hazardAuditMessages.messageList(evidence.map(item => item.message), "; ")
+        }, actions.locale);
+        hazardRiskEscalation.auditPassing = true;
+
+        // Remove the audit failure comment from the sub-task
+        await actions.removeIssueAuditFailureComment(subTask, hazardRiskEscalation);
+    }
+    else{
+        hazardAuditMessages.setAuditMessage(hazardRiskEscalation, escalationSettings.safetyReviewerGroup ? "riskEscalation.missingEvidenceOrReviewer" : "riskEscalation.missingEvidence", {
+            headings,
+            riskLinkTypes: escalationSettings.riskLinkTypes.join("/"),
+            evidenceLabels: escalationSettings.evidenceLabels.join(", "),
+            safetyReviewerGroup: escalationSettings.safetyReviewerGroup
+        }, actions.locale);
+        hazardRiskEscalation.auditPassing = false;
+
+        // Post the audit results to the sub-task since it failed
+        await actions.postIssueAuditFailureComment(subTask, hazardRiskEscalation);
+    }
+
+    return hazardRiskEscalation;
+}
+
+/**
+ * This function collects the evidence which supports an escalated Hazard Analysis
+ * @param issues The issues the evidence may be found on: the parent issue, its Hazard Analysis sub-task and the sub-task
+ *  holding a shared analysis.  An issue listed more than once is only searched once.
+ * @param escalationSettings The riskEscalation settings of the question schema
+ * @param lookups The Jira lookups of the audit run
+ * @returns {Promise<Array>} A list of evidence items, each with a type, the message describing it as {messageId, params}
+ *  and that description in the default locale.  Empty when there is no evidence.
+ */
+async function findRiskEscalationEvidence(issues, escalationSettings, lookups){
+    const evidence = [];
+    const riskLinkTypes = escalationSettings.riskLinkTypes.map(linkType => linkType.toLowerCase());
+    const evidenceIssues = issues.filter((candidate, index) => issues.findIndex(other => other.key === candidate.key) === index);
+    const subTasks = evidenceIssues.slice(1);
+
+    // Risk or mitigation issues may be linked from the parent issue or any of the sub-tasks
+    evidenceIssues.forEach(linkedFrom => {
+        (linkedFrom.fields.issuelinks || []).filter(issueLink => issueLink.type && riskLinkTypes.includes(issueLink.type.name.toLowerCase())).forEach(issueLink => {
+            const linkedIssue = issueLink.inwardIssue || issueLink.outwardIssue;
+            evidence.push(describeEvidence("link", "riskEscalation.linkEvidence", {linkType: issueLink.type.name, linkedKey: linkedIssue ? linkedIssue.key : "", linkedFrom: linkedFrom.key}));
+        });
+    });
+
+    evidenceIssues.forEach(labelledIssue => {
+        if(escalationSettings.evidenceLabels.length && dependencies.jiraHelpers.issueContainsAnyLabel(labelledIssue, escalationSettings.evidenceLabels)){
+            evidence.push(describeEvidence("label", "riskEscalation.labelEvidence", {issueKey: labelledIssue.key}));
+        }
+    });
+
+    if(escalationSettings.safetyReviewerGroup){
+        const safetyReviewers = (await lookups.getGroupMembers(escalationSettings.safetyReviewerGroup)).map(member => member.name);
+        subTasks.forEach(reviewedSubTask => {
+            dependencies.jiraHelpers.findPlusOneComments(reviewedSubTask).filter(comment => safetyReviewers.includes(comment.author.name)).forEach(comment => {
+                evidence.push(describeEvidence("reviewer", "riskEscalation.reviewerEvidence", {reviewer: comment.author.displayName || comment.author.name}));
+            });
+        });
+    }
+
+    return evidence;
+}
+
+function describeEvidence(type, messageId, params){
+    return {type, message: {messageId, params}, description: hazardAuditMessages.formatMessage(messageId, params)};
+}
+
+/**
+ * This function checks for the hazard analysis to receive a '+1' from a reviewer other than the author.  The sign-off
+ * policy of the question schema decides which '+1' comments count: the reviewer must be on the approver allow-list or in
+ * the approver group when either is configured, the approval is withdrawn by a later '-1' or retraction comment from the
+ * same reviewer, and it is invalidated when the description is edited after it was given.  The policy also sets the
+ * minimum number of distinct approvers.
+ * @param issue This issue to be audited to ensure the Hazard Analysis has been reviewed
+ * @param questionSchema The loaded question schema which holds the sign-off policy
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @param signOffs The sign-offs of the issue from evaluateSignOffs, when they were already evaluated for the audit run
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
+ */
+async function hazardAnalysisReviewed(issue, questionSchema = hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA, actions = hazardAuditActions.createAuditActions(), signOffs = null){
+    const hazardAnalysisReviewed = new dependencies.AuditDetails("Hazard Analysis Reviewed", issue);
+    const signOffPolicy = questionSchema.signOff;
+    const {approvals, rejectedApprovals} = signOffs || await evaluateSignOffs(issue, signOffPolicy);
+
+    // Keep who approved and when, along with any '+1' which did not count and why, on the audit details
+    hazardAnalysisReviewed.approvals = approvals;
+    hazardAnalysisReviewed.rejectedApprovals = rejectedApprovals;
+
+    if(approvals.length < signOffPolicy.minimumApprovers){
+        hazardAuditMessages.setAuditMessage(hazardAnalysisReviewed, signOffPolicy.minimumApprovers > 1 ? "reviewed.missingApprovals" : "reviewed.missingApproval", {
+            minimumApprovers: signOffPolicy.minimumApprovers,
+            approvalCount: approvals.length,
+            rejected: rejectedApprovals.length ? {messageId: "reviewed.rejectedApprovals", params: {
+                rejectedApprovals: rejectedApprovals.map(approval => ({
+                    messageId: "reviewed.rejectedApproval",
+                    params: {reviewer: approval.displayName, approvedAt: approval.approvedAt, reason: approval.reasonMessage}
+                }))
+            }} : ""
+        }, actions.locale);
+        hazardAnalysisReviewed.auditPassing = false;
+
+        // Post the audit results to the sub-task since it failed
+        await actions.postIssueAuditFailureComment(issue, hazardAnalysisReviewed);
+    }
+    else{
+        hazardAuditMessages.setAuditMessage(hazardAnalysisReviewed, "reviewed.approved", {
+            approvals: hazardAuditMessages.messageList(approvals.map(approval => ({
+                messageId: "reviewed.approval",
+                params: {reviewer: approval.displayName, approvedAt: approval.approvedAt}
+            })), ", ")
+        }, actions.locale);
+        hazardAnalysisReviewed.auditPassing = true;
+
+        // Remove the audit failure comment from the story
+        await actions.removeIssueAuditFailureComment(issue, hazardAnalysisReviewed);
+    }
+
+    return hazardAnalysisReviewed;
+}
+
+/**
+ * This function checks that no answer of a Hazard Analysis was changed after the sub-task was closed or after its last
+ * approval.  The last approval is the latest '+1' the sign-off policy accepts before the description change check, so a
+ * '+1' which only stopped counting because the description was edited afterwards still dates the sign-off the edit
+ * came after.  The history of every answer is rebuilt from the description changes in the changelog and kept on the
+ * answerHistory property, with who changed it, when and a word diff of the answer before and after.  The answers changed
+ * after the closure or the approval are kept on the changedAfterClosure and changedAfterApproval properties.
+ * @param issue The Hazard Analysis sub-task to audit
+ * @param questionSchema The loaded question schema to audit against, which holds the sign-off policy.  Defaults to the
+ *  schema in hazardAnalysisQuestions.json
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @param signOffs The sign-offs of the issue from evaluateSignOffs, when they were already evaluated for the audit run
+ * @param lookups The Jira lookups of the audit run, see hazardJiraLookups.js.  Defaults to lookups of its own
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
+ */
+async function hazardAnswersUnchangedAfterSignOff(issue, questionSchema = hazardQuestionSchema.DEFAULT_QUESTION_SCHEMA, actions = hazardAuditActions.createAuditActions(), signOffs = null, lookups = hazardJiraLookups.createJiraLookups()){
+    const answersUnchanged = new dependencies.AuditDetails("Hazard Analysis Answers Changed After Sign-Off", issue);
+    answersUnchanged.answerHistory = await hazardAnswerHistory.buildAnswerHistory(issue, questionSchema, lookups);
+
+    const resolutionDate = issue.fields[dependencies.jira2Fields.JIRA_FIELDS.RESOLUTION_DATE];
+    const {approvals, rejectedApprovals} = signOffs || await evaluateSignOffs(issue, questionSchema.signOff, lookups);
+    const lastApproval = approvals
+        .concat(rejectedApprovals.filter(approval => approval.reasonMessage.messageId === "reviewed.descriptionChanged"))
+        .map(approval => new Date(approval.approvedAt))
+        .reduce((latest, approvedAt) => (!latest || approvedAt > latest ? approvedAt : latest), null);
+    answersUnchanged.changedAfterClosure = resolutionDate ? hazardAnswerHistory.findChangesAfter(answersUnchanged.answerHistory, new Date(resolutionDate)) : [];
+    answersUnchanged.changedAfterApproval = lastApproval ? hazardAnswerHistory.findChangesAfter(answersUnchanged.answerHistory, lastApproval) : [];
+
+    const describeChanges = changedQuestions => changedQuestions.reduce((messages, questionHistory) => messages.concat(questionHistory.changes.map(change => ({
+        messageId: "answersChanged.change",
+        params: {heading: questionHistory.heading, author: change.author, changedAt: change.changedAt, before: change.before || "", after: change.after || ""}
+    }))), []);
+
+    if(answersUnchanged.changedAfterClosure.length || answersUnchanged.changedAfterApproval.length){
+        hazardAuditMessages.setAuditMessage(answersUnchanged, "answersChanged.changed", {
+            afterClosure: answersUnchanged.changedAfterClosure.length ? {messageId: "answersChanged.afterClosure", params: {
+                closedAt: new Date(resolutionDate).toISOString(),
+                changes: describeChanges(answersUnchanged.changedAfterClosure)
+            }} : "",
+            afterApproval: answersUnchanged.changedAfterApproval.length ? {messageId: "answersChanged.afterApproval", params: {
+                approvedAt: lastApproval.toISOString(),
+                changes: describeChanges(answersUnchanged.changedAfterApproval)
+            }} : ""
+        }, actions.locale);
+        answersUnchanged.auditPassing = false;
+
+        // Post the audit results to the sub-task since it failed
+        await actions.postIssueAuditFailureComment(issue, answersUnchanged);
+    }
+    else{
+        hazardAuditMessages.setAuditMessage(answersUnchanged, "answersChanged.unchanged", {}, actions.locale);
+        answersUnchanged.auditPassing = true;
+
+        // Remove the audit failure comment from the sub-task
+        await actions.removeIssueAuditFailureComment(issue, answersUnchanged);
+    }
+
+    return answersUnchanged;
+}
+
+/**
+ * This function applies the sign-off policy to the '+1' comments of an issue
+ * @param issue The Hazard Analysis sub-task whose comments are evaluated
+ * @param signOffPolicy The signOff policy of the question schema
+ * @param lookups The Jira lookups of the audit run, see hazardJiraLookups.js.  Defaults to lookups of its own
+ * @returns {Promise<{approvals: Array, rejectedApprovals: Array}>} The latest valid approval of each distinct reviewer,
+ *  and the latest '+1' of each reviewer which did not count along with the reason, as the message {messageId, params}
+ *  on reasonMessage and in the default locale on reason
+ */
+async function evaluateSignOffs(issue, signOffPolicy, lookups = hazardJiraLookups.createJiraLookups()){
+    const comments = (issue.fields.comment && issue.fields.comment.comments) || [];
+    const byCreated = (a, b) => new Date(a.created) - new Date(b.created);
+
+    // Only the most recent '+1' of each reviewer matters
+    const latestPlusOnes = new Map();
+    dependencies.jiraHelpers.findPlusOneComments(issue).slice().sort(byCreated).forEach(comment => latestPlusOnes.set(comment.author.name, comment));
+
+    // Build the list of allowed approvers when the policy restricts who can sign off
+    let allowedApprovers = null;
+    if(signOffPolicy.approvers.length || signOffPolicy.approverGroup){
+        allowedApprovers = signOffPolicy.approvers.slice();
+        if(signOffPolicy.approverGroup){
+            allowedApprovers.push(...(await lookups.getGroupMembers(signOffPolicy.approverGroup)).map(member => member.name));
+        }
+    }
+
+    const lastDescriptionChange = signOffPolicy.invalidateOnDescriptionChange ? await hazardIssueHistory.getLastFieldChange(issue, "description", lookups) : null;
+
+    const approvals = [];
+    const rejectedApprovals = [];
+    latestPlusOnes.forEach((comment, name) => {
+        const approval = {name, displayName: comment.author.displayName || name, approvedAt: comment.created};
+        const approvedAt = new Date(comment.created);
+
+        const retraction = comments.find(laterComment => laterComment.author && laterComment.author.name === name && new Date(laterComment.created) > approvedAt &&
+            signOffPolicy.retractionPatterns.some(pattern => pattern.test(laterComment.body || "")));
+
+        if(allowedApprovers && !allowedApprovers.includes(name)){
+            rejectedApprovals.push(rejectApproval(approval, "reviewed.notAnApprover", {}));
+        }
+        else if(retraction){
+            rejectedApprovals.push(rejectApproval(approval, "reviewed.withdrawn", {withdrawnAt: retraction.created}));
+        }
+        else if(lastDescriptionChange && lastDescriptionChange.created > approvedAt){
+            rejectedApprovals.push(rejectApproval(approval, "reviewed.descriptionChanged", {author: lastDescriptionChange.author, changedAt: lastDescriptionChange.created.toISOString()}));
+        }
+        else{
+            approvals.push(approval);
+        }
+    });
+
+    return {approvals, rejectedApprovals};
+}
+
+function rejectApproval(approval, messageId, params){
+    return Object.assign(approval, {reason: hazardAuditMessages.formatMessage(messageId, params), reasonMessage: {messageId, params}});
+}
+
+/**
+ * This function will cleanse the parent issue and sub-task of all auditor comments and labels which have
+ * been added by this sub-task auditor
+ * @param issue The parent issue where the sub-task resides
+ * @param actions The actions object used to update Jira, see hazardAuditActions.createAuditActions.  Defaults to updating Jira immediately
+ * @returns {Promise<AuditDetails>} An AuditDetails object which contains the audit information for the issue.
+ */
+async function cleanseSubTaskAudits(issue, actions = hazardAuditActions.createAuditActions()){
+    const cleanseSubTask = new dependencies.AuditDetails("Hazard Analysis Sub-Task Cleanse", issue);
+    hazardAuditMessages.setAuditMessage(cleanseSubTask, "cleanse.removingAudits", {}, actions.locale);
+
+    // Get the Hazard Analysis sub task
+    let subTask = dependencies.jiraHelpers.getSubTaskByName(issue, dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS);
+    if(subTask){
+        await actions.handlePassFailAuditResults(subTask, cleanseSubTask);
+    }
+    else{
+        await actions.removeIssueAuditFailureCommentByName(issue, "Issue Requires A Hazard Analysis Sub-Task");
+    }
+
+    return cleanseSubTask;
+}
+
+module.exports = {
+    runHazardAnalysisAudits,
+    issueHasHazardAnalysisSubTask,
+    issueHasOneSubTaskLink,
+    resolveHazardAnalysisLinkChain,
+    isNoWorkNeededResolutionValid,
+    hazardAnalysisComplete,
+    hazardAnalysisReviewed,
+    hazardRiskEscalation,
+    hazardAnswersUnchangedAfterSignOff,
+    cleanseSubTaskAudits,
+    generateQuestionResultsText
+};
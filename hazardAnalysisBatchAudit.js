@@ -0,0 +1,165 @@
+/**
+ * This module runs the Hazard Analysis audits over a batch of issues, such as every story of a release, selected either
+ * with a JQL query or a list of issue keys, and summarizes the results.
+ */
+
+const hazardAuditDependencies = require("./hazardAuditDependencies.js");
+const dependencies = hazardAuditDependencies.dependencies;
+const hazardAnalysisAudits = require("./hazardAnalysisAudits.js");
+
+const DEFAULT_BATCH_OPTIONS = Object.freeze({
+    concurrency: 4,
+    pageSize: 50,
+    maxRetries: 5,
+    retryDelayMs: 1000,
+    slowestIssueCount: 10,
+    auditOptions: {}
+});
+
+/**
+ * This function runs the Hazard Analysis audits for every issue matching a JQL query or in a list of issue keys.  Issues
+ * are fetched from Jira in pages and audited with bounded concurrency.  Each Jira request which is rate limited by Jira
+ * is retried on its own with an exponential back off; an audit is never run again, since it may already have updated
+ * Jira.  An issue whose audit fails with an error is reported as errored in the summary.
+ * @param selection Either {jql: "..."} or {issueKeys: ["KEY-1", ...]}
+ * @param options Optional settings for the batch:
+ *  - concurrency: the maximum number of issues audited at the same time
+ *  - pageSize: the number of issues fetched from Jira per request
+ *  - maxRetries: the number of times a rate limited request is retried before the batch gives up on it
+ *  - retryDelayMs: the delay before the first retry, doubled for every retry after, unless Jira sends a Retry-After header.
+ *    Both apply to every Jira request of the batch and of the audits it runs, see hazardAuditDependencies.withRequestRetryPolicy
+ *  - slowestIssueCount: the number of slowest issues kept in the summary
+ *  - auditOptions: the options passed to runHazardAnalysisAudits for every issue, such as the mode
+ * @returns {Promise<Object>} The summary of the batch, see summarizeBatchResults
+ */
+async function runHazardAnalysisAuditBatch(selection, options = {}){
+    const batchOptions = Object.assign({}, DEFAULT_BATCH_OPTIONS, options);
+    const retryPolicy = {maxRetries: batchOptions.maxRetries, retryDelayMs: batchOptions.retryDelayMs};
+
+    return hazardAuditDependencies.withRequestRetryPolicy(retryPolicy, () => auditBatchIssues(selection, batchOptions));
+}
+
+async function auditBatchIssues(selection, batchOptions){
+    const issues = await fetchBatchIssues(selection, batchOptions);
+
+    // Linked sub-tasks shared by several issues in the batch are only audited once
+    const auditOptions = Object.assign({sharedAnalyses: new Map()}, batchOptions.auditOptions);
+    const results = new Array(issues.length);
+    let nextIssue = 0;
+
+    const worker = async () => {
+        while(nextIssue < issues.length){
+            const index = nextIssue++;
+            const issue = issues[index];
+            const startTime = Date.now();
+
+            try{
+                const auditDetails = await hazardAnalysisAudits.runHazardAnalysisAudits(issue, auditOptions);
+                results[index] = {issue, auditDetails, durationMs: Date.now() - startTime, error: null};
+            }
+            catch(error){
+                results[index] = {issue, auditDetails: null, durationMs: Date.now() - startTime, error};
+            }
+        }
+    };
+
+    const workers = [];
+    for(let i = 0; i < Math.max(1, Math.min(batchOptions.concurrency, issues.length)); i++){
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return summarizeBatchResults(results, batchOptions);
+}
+
+/**
+ * This function fetches the issues for a batch from Jira, one page at a time
+ * @param selection Either {jql: "..."} or {issueKeys: ["KEY-1", ...]}
+ * @param batchOptions The options of the batch
+ * @returns {Promise<Array>} The issues with the DEFAULT_SUBTASK_FIELDS populated
+ */
+async function fetchBatchIssues(selection, batchOptions){
+    const fields = dependencies.jira2Fields.DEFAULT_SUBTASK_FIELDS;
+    const queries = [];
+
+    if(selection && selection.jql){
+        queries.push(selection.jql);
+    }
+    else if(selection && Array.isArray(selection.issueKeys)){
+        // A list of issue keys is turned into one "key in" query per page so it is fetched the same way as a JQL query
+        for(let i = 0; i < selection.issueKeys.length; i += batchOptions.pageSize){
+            queries.push(`key in (${selection.issueKeys.slice(i, i + batchOptions.pageSize).join(",")})`);
+        }
+    }
+    else{
+        throw new Error("A batch of Hazard Analysis audits requires either a jql query or a list of issueKeys");
+    }
+
+    const issues = [];
+    for(const jql of queries){
+        let startAt = 0;
+        let page;
+        do{
+            page = await dependencies.jiraHelpers.searchIssues(jql, fields, startAt, batchOptions.pageSize);
+            issues.push(...page.issues);
+            startAt += page.issues.length;
+        } while(page.issues.length && startAt < page.total);
+    }
+
+    return issues;
+}
+
+/**
+ * This function builds the summary report of a batch
+ * @param results One entry per issue with the issue, its AuditDetails (null when the audit errored), duration and error
+ * @param batchOptions The options of the batch
+ * @returns {Object} The pass, fail, ignored and error counts, the failures by question and by assignee, the slowest
+ *  issues and the individual results
+ */
+function summarizeBatchResults(results, batchOptions = DEFAULT_BATCH_OPTIONS){
+    const summary = {
+        total: results.length,
+        passed: 0,
+        failed: 0,
+        ignored: 0,
+        errored: 0,
+        failuresByQuestion: {},
+        failuresByAssignee: {},
+        slowestIssues: [],
+        results
+    };
+
+    results.forEach(result => {
+        if(result.error){
+            summary.errored++;
+            return;
+        }
+        if(result.auditDetails.auditIgnored){
+            summary.ignored++;
+            return;
+        }
+        if(result.auditDetails.auditPassing){
+            summary.passed++;
+            return;
+        }
+
+        summary.failed++;
+        const assignee = result.issue.fields.assignee ? result.issue.fields.assignee.displayName || result.issue.fields.assignee.name : "Unassigned";
+        summary.failuresByAssignee[assignee] = (summary.failuresByAssignee[assignee] || 0) + 1;
+        (result.auditDetails.questionResults || []).filter(questionResult => questionResult.required && questionResult.reason).forEach(questionResult => {
+            summary.failuresByQuestion[questionResult.heading] = (summary.failuresByQuestion[questionResult.heading] || 0) + 1;
+        });
+    });
+
+    summary.slowestIssues = results.slice()
+        .sort((a, b) => b.durationMs - a.durationMs)
+        .slice(0, batchOptions.slowestIssueCount)
+        .map(result => ({issueKey: result.issue.key, durationMs: result.durationMs}));
+
+    return summary;
+}
+
+module.exports = {
+    runHazardAnalysisAuditBatch,
+    summarizeBatchResults
+};
@@ -0,0 +1,117 @@
+/**
+ * This module rebuilds the history of each answer of a Hazard Analysis from the description changes recorded in the
+ * issue changelog, so it is known who changed an answer, when, and what it said before and after.
+ */
+
+const hazardDescriptionParser = require("./hazardDescriptionParser.js");
+const hazardIssueHistory = require("./hazardIssueHistory.js");
+
+/**
+ * This function rebuilds the answer history of every question of a Hazard Analysis
+ * @param issue The Hazard Analysis sub-task
+ * @param questionSchema The loaded question schema the descriptions are parsed against
+ * @param lookups The Jira lookups of the audit run the changelog is read through, see hazardJiraLookups.js
+ * @returns {Promise<Array>} One entry per question in schema order with its id, heading and the changes to its answer,
+ *  oldest first.  Each change has changedAt (an ISO date), author, authorName, the answer before and after and a word diff.
+ */
+async function buildAnswerHistory(issue, questionSchema, lookups = null){
+    const history = questionSchema.questions.map(question => ({id: question.id, heading: question.heading, changes: []}));
+
+    (await hazardIssueHistory.getFieldChanges(issue, "description", lookups)).forEach(change => {
+        const before = hazardDescriptionParser.parseHazardDescription(change.fromString, questionSchema);
+        const after = hazardDescriptionParser.parseHazardDescription(change.toString, questionSchema);
+
+        // A description edit which left an answer as it was, such as fixing the formatting, is not a change to that answer
+        history.forEach((questionHistory, index) => {
+            const beforeAnswer = before[index].answer;
+            const afterAnswer = after[index].answer;
+            if(normalizeAnswer(beforeAnswer) === normalizeAnswer(afterAnswer)){
+                return;
+            }
+
+            questionHistory.changes.push({
+                changedAt: change.created.toISOString(),
+                author: change.author,
+                authorName: change.authorName,
+                before: beforeAnswer,
+                after: afterAnswer,
+                diff: diffWords(beforeAnswer || "", afterAnswer || "")
+            });
+        });
+    });
+
+    return history;
+}
+
+/**
+ * This function finds the answer changes made after a point in time, such as the closure of the sub-task
+ * @param answerHistory The answer history from buildAnswerHistory
+ * @param since The Date after which changes are returned
+ * @returns {Array} One entry per changed question with its id, heading and the changes made after the date
+ */
+function findChangesAfter(answerHistory, since){
+    return answerHistory
+        .map(questionHistory => Object.assign({}, questionHistory, {changes: questionHistory.changes.filter(change => new Date(change.changedAt) > since)}))
+        .filter(questionHistory => questionHistory.changes.length);
+}
+
+/**
+ * This function produces a word diff of two answers in the style of git's word diff, where removed words are shown as
+ * [-removed-] and added words as {+added+}
+ * @param before The answer before the change
+ * @param after The answer after the change
+ * @returns {string} The word diff
+ */
+function diffWords(before, after){
+    const a = before.split(/\s+/).filter(word => word);
+    const b = after.split(/\s+/).filter(word => word);
+
+    // Longest common subsequence of the words, filled from the end so the diff can be walked from the start
+    const lengths = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+    for(let i = a.length - 1; i >= 0; i--){
+        for(let j = b.length - 1; j >= 0; j--){
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (kind, word) => {
+        const last = parts[parts.length - 1];
+        if(last && last.kind === kind){
+            last.words.push(word);
+        }
+        else{
+            parts.push({kind, words: [word]});
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while(i < a.length || j < b.length){
+        if(i < a.length && j < b.length && a[i] === b[j]){
+            push("same", a[i++]);
+            j++;
+        }
+        else if(i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])){
+            push("removed", a[i++]);
+        }
+        else{
+            push("added", b[j++]);
+        }
+    }
+
+    return parts.map(part => {
+        const text = part.words.join(" ");
+        return part.kind === "added" ? `{+${text}+}` : part.kind === "removed" ? `[-${text}-]` : text;
+    }).join(" ");
+}
+
+function normalizeAnswer(answer){
+    return (answer || "").replace(/\s+/g, " ").trim();
+}
+
+module.exports = {
+    buildAnswerHistory,
+    findChangesAfter,
+    diffWords
+};
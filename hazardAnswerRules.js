@@ -0,0 +1,76 @@
+/**
+ * This module holds the answer-quality rules applied to each answered Hazard Analysis question.  An answer is classified
+ * as Yes, No or unclear, filler answers are rejected and a Yes answer must be justified with an explanation.
+ */
+
+const QUESTION_STATUS = require("./hazardDescriptionParser.js").QUESTION_STATUS;
+const hazardAuditMessages = require("./hazardAuditMessages.js");
+
+const ANSWER_CLASSIFICATION = Object.freeze({
+    YES: "yes",
+    NO: "no",
+    UNCLEAR: "unclear"
+});
+
+/**
+ * This function classifies an answer by the Yes or No it starts with and separates out the explanation following it.
+ * @param answer The answer extracted from the Hazard Analysis description
+ * @returns {{classification: string, explanation: string}} The classification of the answer and the explanation text
+ */
+function classifyAnswer(answer){
+    const yesNoMatch = /^\W*(yes|no)\b\W*/i.exec(answer || "");
+    if(!yesNoMatch){
+        return {classification: ANSWER_CLASSIFICATION.UNCLEAR, explanation: (answer || "").trim()};
+    }
+
+    return {
+        classification: yesNoMatch[1].toLowerCase() === "yes" ? ANSWER_CLASSIFICATION.YES : ANSWER_CLASSIFICATION.NO,
+        explanation: answer.substring(yesNoMatch[0].length).trim()
+    };
+}
+
+/**
+ * This function applies the answer-quality rules of the schema to a parsed question result.  Answered questions which
+ * break a rule are marked as invalid along with the specific reason, in the default locale on reason and as the catalog
+ * message {messageId, params} on reasonMessage.
+ * @param result A question result from hazardDescriptionParser.parseHazardDescription
+ * @param answerRules The answerRules of the loaded question schema
+ * @param question The schema question the result belongs to, which may override the minimum explanation length
+ * @returns {Object} A copy of the result with the answer classification and explanation added
+ */
+function applyAnswerRules(result, answerRules, question = {}){
+    if(result.status !== QUESTION_STATUS.ANSWERED){
+        return Object.assign({}, result, {classification: null, explanation: null});
+    }
+
+    const {classification, explanation} = classifyAnswer(result.answer);
+    const evaluated = Object.assign({}, result, {classification, explanation});
+    const minimumExplanationLength = Number.isInteger(question.minimumExplanationLength) ? question.minimumExplanationLength : answerRules.minimumExplanationLength;
+
+    if(isFiller(result.answer, answerRules.fillerPhrases) || (explanation && isFiller(explanation, answerRules.fillerPhrases))){
+        return markInvalid(evaluated, "answer.filler", {answer: result.answer});
+    }
+    if(classification === ANSWER_CLASSIFICATION.UNCLEAR){
+        return markInvalid(evaluated, "answer.notYesOrNo", {});
+    }
+    if(classification === ANSWER_CLASSIFICATION.YES && explanation.length < minimumExplanationLength){
+        return markInvalid(evaluated, "answer.explanationTooShort", {minimumExplanationLength});
+    }
+
+    return evaluated;
+}
+
+function isFiller(text, fillerPhrases){
+    const normalized = text.trim().toLowerCase().replace(/[\s.!]+$/, "");
+    return fillerPhrases.some(phrase => phrase.toLowerCase() === normalized || phrase.toLowerCase() === text.trim().toLowerCase());
+}
+
+function markInvalid(result, messageId, params){
+    return Object.assign(result, {status: QUESTION_STATUS.INVALID, reason: hazardAuditMessages.formatMessage(messageId, params), reasonMessage: {messageId, params}});
+}
+
+module.exports = {
+    ANSWER_CLASSIFICATION,
+    classifyAnswer,
+    applyAnswerRules
+};
@@ -0,0 +1,178 @@
+/**
+ * This module decouples the Hazard Analysis audits from the Jira updates they make.  The audits call the Jira mutations
+ * through an actions object instead of jira2Helpers directly.  In apply mode the actions object forwards each call to
+ * jira2Helpers as it happens; in report mode it only records the call as a planned action so it can be applied or
+ * discarded later.  A planned action is a serializable snapshot of the call, so a report can be saved or reviewed as JSON
+ * before it is applied.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+
+const AUDIT_MODE = Object.freeze({
+    APPLY: "apply",
+    REPORT: "report"
+});
+
+// These are the jira2Helpers functions which change an issue in Jira and are routed through the actions object
+const MUTATING_ACTIONS = Object.freeze([
+    "postIssueAuditFailureComment",
+    "removeIssueAuditFailureComment",
+    "removeIssueAuditFailureCommentByName",
+    "handlePassFailAuditResults",
+    "addIssueLabels",
+    "removeIssueLabels",
+    "createSubTask"
+]);
+
+// The issue and arguments each planned action was made with, so applying a plan in the same process uses them as they were
+const plannedCalls = new WeakMap();
+
+/**
+ * This function creates the actions object the audits use to make changes in Jira
+ * @param mode Either AUDIT_MODE.APPLY to update Jira immediately or AUDIT_MODE.REPORT to only collect the planned actions
+ * @param locale The locale of the audit messages posted to Jira, see hazardAuditMessages.js.  Defaults to the default
+ *  locale of the message catalog
+ * @returns {Object} An object with one function per mutating jira2Helpers function, along with the mode, the locale and
+ *  the list of planned actions collected in report mode
+ */
+function createAuditActions(mode = AUDIT_MODE.APPLY, locale){
+    if(!Object.values(AUDIT_MODE).includes(mode)){
+        throw new Error(`Unknown Hazard Analysis audit mode "${mode}"`);
+    }
+
+    const actions = {
+        mode,
+        locale,
+        plannedActions: []
+    };
+
+    MUTATING_ACTIONS.forEach(actionName => {
+        actions[actionName] = (issue, ...args) => {
+            if(mode === AUDIT_MODE.APPLY){
+                return dependencies.jiraHelpers[actionName](issue, ...args);
+            }
+
+            const plannedAction = describeAction(actionName, issue, args);
+            plannedCalls.set(plannedAction, {issue, args});
+            actions.plannedActions.push(plannedAction);
+            return Promise.resolve();
+        };
+    });
+
+    return actions;
+}
+
+/**
+ * This function applies every planned action of an audit run to Jira in the order they were planned.  Applied actions
+ * are removed from the list.  A plan which was saved as JSON and read back is applied by fetching each issue by its key
+ * and rebuilding each AuditDetails from its snapshot.
+ * @param auditDetails The AuditDetails returned by runHazardAnalysisAudits in report mode, or the same parsed from JSON
+ * @returns {Promise<Array>} The actions which were applied
+ */
+async function applyPlannedActions(auditDetails){
+    const applied = [];
+    const plannedActions = auditDetails.plannedActions || [];
+    const issues = new Map();
+
+    while(plannedActions.length){
+        const plannedAction = plannedActions[0];
+        const {issue, args} = plannedCalls.get(plannedAction) || await resolvePlannedCall(plannedAction, issues);
+        await dependencies.jiraHelpers[plannedAction.action](issue, ...args);
+        applied.push(plannedActions.shift());
+    }
+
+    return applied;
+}
+
+/**
+ * This function discards every planned action of an audit run without changing Jira
+ * @param auditDetails The AuditDetails returned by runHazardAnalysisAudits in report mode
+ * @returns {Array} The actions which were discarded
+ */
+function discardPlannedActions(auditDetails){
+    return (auditDetails.plannedActions || []).splice(0);
+}
+
+function describeAction(actionName, issue, args){
+    const plannedAction = {
+        action: actionName,
+        issueKey: issue && issue.key,
+        args: args.map(snapshotArgument)
+    };
+
+    // Keep the audit text, audit name, labels or new sub-task involved so the planned action can be reviewed without inspecting the arguments
+    if(actionName === "createSubTask"){
+        plannedAction.summary = args[0];
+        plannedAction.description = args[1];
+    }
+    else if(args[0] && typeof args[0].auditDetails === "string"){
+        plannedAction.auditName = args[0].auditName;
+        plannedAction.details = args[0].auditDetails;
+    }
+    else if(typeof args[0] === "string"){
+        plannedAction.auditName = args[0];
+    }
+    else if(Array.isArray(args[0])){
+        plannedAction.labels = args[0].slice();
+    }
+
+    return plannedAction;
+}
+
+// An AuditDetails argument is kept as the parts of it Jira is updated with, and every other argument as it is
+function snapshotArgument(arg){
+    return isAuditDetails(arg) ? {audit: snapshotAudit(arg)} : {value: Array.isArray(arg) ? arg.slice() : arg};
+}
+
+function snapshotAudit(audit){
+    return {
+        auditName: audit.auditName,
+        issueKey: audit.issue ? audit.issue.key : audit.issueKey || null,
+        auditPassing: audit.auditPassing,
+        auditDetails: audit.auditDetails,
+        messageId: audit.messageId || null,
+        auditResults: (audit.auditResults || []).filter(isAuditDetails).map(snapshotAudit)
+    };
+}
+
+function isAuditDetails(arg){
+    return !!arg && typeof arg === "object" && !Array.isArray(arg) && typeof arg.auditName === "string" && typeof arg.auditPassing === "boolean";
+}
+
+async function resolvePlannedCall(plannedAction, issues){
+    const getIssue = async issueKey => {
+        if(!issues.has(issueKey)){
+            const page = await dependencies.jiraHelpers.searchIssues(`key in (${issueKey})`, dependencies.jira2Fields.DEFAULT_SUBTASK_FIELDS, 0, 1);
+            if(!page.issues.length){
+                throw new Error(`The planned ${plannedAction.action} cannot be applied since issue ${issueKey} was not found`);
+            }
+            issues.set(issueKey, page.issues[0]);
+        }
+        return issues.get(issueKey);
+    };
+
+    const restoreAudit = async snapshot => {
+        const audit = new dependencies.AuditDetails(snapshot.auditName, await getIssue(snapshot.issueKey || plannedAction.issueKey));
+        for(const resultSnapshot of snapshot.auditResults){
+            audit.addAuditResults(await restoreAudit(resultSnapshot));
+        }
+        audit.auditPassing = snapshot.auditPassing;
+        audit.auditDetails = snapshot.auditDetails;
+        audit.messageId = snapshot.messageId;
+        return audit;
+    };
+
+    const args = [];
+    for(const arg of plannedAction.args){
+        args.push(arg.audit ? await restoreAudit(arg.audit) : arg.value);
+    }
+
+    return {issue: await getIssue(plannedAction.issueKey), args};
+}
+
+module.exports = {
+    AUDIT_MODE,
+    createAuditActions,
+    applyPlannedActions,
+    discardPlannedActions
+};
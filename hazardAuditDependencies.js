@@ -0,0 +1,133 @@
+/**
+ * This module holds the collaborators of the Hazard Analysis audits (Jira helpers, the shared sub-task and common audits,
+ * AuditDetails and the Jira field constants).  Each collaborator is required from the larger auditing program the first
+ * time it is used, unless it has been replaced with setDependencies, which allows the audits to run against an in-memory
+ * stand-in such as inMemoryJira.js without a live Jira.
+ *
+ * The audits also call Jira functions the larger program's jira2Helpers may not provide (see hazardJiraRequests.js).
+ * Any of those missing from jira2Helpers is implemented on the Jira REST API through the jiraRequest collaborator.  The
+ * audits hold no Jira credentials of their own, so jiraRequest must be given with setDependencies as the larger
+ * program's authenticated request function; using a fallback without it fails with an error saying so.
+ *
+ * Every Jira request made through jiraHelpers or jiraRequest is retried on its own while Jira responds that the rate
+ * limit has been reached (see hazardRequestRetry.js).  The retry policy is the one given to withRequestRetryPolicy for
+ * the run making the request, so runs with different policies can overlap, or DEFAULT_RETRY_POLICY outside of one.
+ */
+
+const {AsyncLocalStorage} = require("async_hooks");
+const hazardRequestRetry = require("./hazardRequestRetry.js");
+
+// These are the Jira functions implemented by hazardJiraRequests.js when jira2Helpers does not provide them
+const JIRA_REQUEST_FALLBACKS = Object.freeze(["getGroupMembers", "getIssueChangelog", "searchIssues", "addIssueLabels", "removeIssueLabels", "createSubTask"]);
+
+const defaultLoaders = {
+    auditHelpers: () => require("../../helpers/auditHelpers"),
+    jiraHelpers: () => withJiraRequestFallbacks(require("../../helpers/jira2Helpers")),
+    subTaskAudits: () => require("../issueTypeAudits/subTaskAudits.js"),
+    commonAudits: () => require("../issueTypeAudits/commonAudits.js"),
+    AuditDetails: () => require("../AuditDetails"),
+    jira2Fields: () => require("../../const/jira2Fields.js"),
+    jiraRequest: () => {
+        throw new Error(`No jiraRequest dependency has been set for the Hazard Analysis audits.  It makes the Jira requests for ${JIRA_REQUEST_FALLBACKS.join(", ")} when jira2Helpers does not provide them; set it to the authenticated Jira request function with setDependencies`);
+    }
+};
+
+const overrides = {};
+const loaded = {};
+const retried = new WeakMap();
+const jiraRequestFallbacks = new Set();
+const requestRetryPolicies = new AsyncLocalStorage();
+
+// Every collaborator is looked up on access so replacements take effect for modules which have already been required
+const dependencies = {};
+Object.keys(defaultLoaders).forEach(name => {
+    Object.defineProperty(dependencies, name, {
+        enumerable: true,
+        get: () => {
+            let collaborator;
+            if(Object.prototype.hasOwnProperty.call(overrides, name)){
+                collaborator = overrides[name];
+            }
+            else{
+                if(!Object.prototype.hasOwnProperty.call(loaded, name)){
+                    loaded[name] = defaultLoaders[name]();
+                }
+                collaborator = loaded[name];
+            }
+            return withRequestRetry(name, collaborator);
+        }
+    });
+});
+
+/**
+ * This function replaces one or more collaborators of the Hazard Analysis audits
+ * @param replacements An object keyed by collaborator name (auditHelpers, jiraHelpers, subTaskAudits, commonAudits,
+ *  AuditDetails, jira2Fields or jiraRequest) with the replacement for each
+ */
+function setDependencies(replacements){
+    Object.keys(replacements).forEach(name => {
+        if(!Object.prototype.hasOwnProperty.call(defaultLoaders, name)){
+            throw new Error(`Unknown Hazard Analysis audit dependency "${name}"`);
+        }
+        overrides[name] = replacements[name];
+    });
+}
+
+/**
+ * This function runs a function with the policy deciding how its rate limited Jira requests are retried.  The policy
+ * applies to every request the function makes, including those of the audits it runs, and to no other request.
+ * @param retryPolicy The maxRetries of a request and the retryDelayMs before its first retry, doubled for every retry after
+ * @param run The function to run
+ * @returns {any} The result of run
+ */
+function withRequestRetryPolicy(retryPolicy, run){
+    if(!retryPolicy || !Number.isInteger(retryPolicy.maxRetries) || retryPolicy.maxRetries < 0 || !(retryPolicy.retryDelayMs >= 0)){
+        throw new Error("A Jira request retry policy needs a non-negative integer maxRetries and a non-negative retryDelayMs");
+    }
+
+    return requestRetryPolicies.run(Object.freeze({maxRetries: retryPolicy.maxRetries, retryDelayMs: retryPolicy.retryDelayMs}), run);
+}
+
+function getRequestRetryPolicy(){
+    return requestRetryPolicies.getStore() || hazardRequestRetry.DEFAULT_RETRY_POLICY;
+}
+
+// Wraps the Jira helpers and the Jira request function so each request is retried on its own when rate limited.  The
+// fallbacks from hazardJiraRequests.js are left as they are since each request they make through jiraRequest is retried.
+function withRequestRetry(name, collaborator){
+    if(!collaborator || (name !== "jiraHelpers" && name !== "jiraRequest")){
+        return collaborator;
+    }
+
+    if(!retried.has(collaborator)){
+        retried.set(collaborator, name === "jiraHelpers"
+            ? hazardRequestRetry.retryJiraHelpers(collaborator, getRequestRetryPolicy, helper => jiraRequestFallbacks.has(helper))
+            : (...args) => hazardRequestRetry.withRateLimitRetry(() => collaborator(...args), getRequestRetryPolicy()));
+    }
+    return retried.get(collaborator);
+}
+
+function withJiraRequestFallbacks(jiraHelpers){
+    const jiraRequests = require("./hazardJiraRequests.js");
+    const fallbacks = {};
+    JIRA_REQUEST_FALLBACKS.filter(name => typeof jiraHelpers[name] !== "function").forEach(name => {
+        fallbacks[name] = jiraRequests[name];
+        jiraRequestFallbacks.add(jiraRequests[name]);
+    });
+
+    return Object.assign(Object.create(jiraHelpers), fallbacks);
+}
+
+/**
+ * This function restores the collaborators from the larger auditing program
+ */
+function resetDependencies(){
+    Object.keys(overrides).forEach(name => delete overrides[name]);
+}
+
+module.exports = {
+    dependencies,
+    setDependencies,
+    resetDependencies,
+    withRequestRetryPolicy
+};
@@ -0,0 +1,129 @@
+/**
+ * This module emits structured events while the Hazard Analysis audits run: one event per audit step with its outcome,
+ * failure reason and duration, and one event per audited issue summarizing the run.  The events feed the metrics store
+ * (see hazardAuditMetricsStore.js) and the trend report (see hazardAuditReport.js).
+ */
+
+const AUDIT_EVENT_TYPES = Object.freeze({
+    STEP: "auditStep",
+    RUN: "auditRun"
+});
+
+const AUDIT_OUTCOMES = Object.freeze({
+    PASS: "pass",
+    FAIL: "fail",
+    IGNORED: "ignored",
+    ERROR: "error"
+});
+
+// The path an audit run took through runHazardAnalysisAudits, kept on the auditPath property of its AuditDetails
+const AUDIT_PATHS = Object.freeze({
+    IGNORED: "ignored",
+    MISSING_SUB_TASK: "missingSubTask",
+    NO_WORK_NEEDED: "noWorkNeeded",
+    LINKED_SUB_TASK: "linkedSubTask",
+    SUB_TASK: "subTask"
+});
+
+/**
+ * This function creates the event emitter for the audit run of one issue
+ * @param issue The issue being audited
+ * @param options The options of runHazardAnalysisAudits:
+ *  - onAuditEvent: called with every event as it happens.  An error thrown, or a promise rejected, by the callback is
+ *    ignored so a failing metrics sink never fails an audit
+ *  - resolveTeam: called with the issue to name the team it belongs to.  Defaults to the project key of the issue
+ * @returns {Object} The emitter, with the events emitted so far, step and record to emit step events and finish to
+ *  emit the event for the run
+ */
+function createAuditEventEmitter(issue, options = {}){
+    const startTime = Date.now();
+    const team = options.resolveTeam ? options.resolveTeam(issue) : issue.key.split("-")[0];
+    const runId = `${issue.key}@${new Date(startTime).toISOString()}`;
+    const events = [];
+
+    const emit = event => {
+        events.push(event);
+        if(!options.onAuditEvent){
+            return;
+        }
+        try{
+            const result = options.onAuditEvent(event);
+            if(result && typeof result.catch === "function"){
+                result.catch(() => null);
+            }
+        }
+        catch(error){
+            // The audit itself must not depend on the event sink
+        }
+    };
+
+    const emitter = {
+        events,
+
+        /**
+         * This function runs an audit step and emits a step event for each AuditDetails it returns
+         * @param runStep A function returning a promise of an AuditDetails, an array of them or null
+         * @returns {Promise<any>} The result of the step
+         */
+        step: async runStep => {
+            const stepStart = Date.now();
+            const result = await runStep();
+            [].concat(result).filter(auditDetails => auditDetails).forEach(auditDetails => emitter.record(auditDetails, stepStart));
+            return result;
+        },
+
+        /**
+         * This function emits a step event for an audit which was run inline
+         * @param auditDetails The AuditDetails of the step
+         * @param stepStart The time, in milliseconds, the step started
+         */
+        record: (auditDetails, stepStart) => emit({
+            type: AUDIT_EVENT_TYPES.STEP,
+            runId,
+            issueKey: issue.key,
+            team,
+            auditName: auditDetails.auditName,
+            outcome: auditDetails.auditPassing ? AUDIT_OUTCOMES.PASS : AUDIT_OUTCOMES.FAIL,
+            messageId: auditDetails.messageId || null,
+            reason: auditDetails.auditPassing ? null : auditDetails.auditDetails,
+            durationMs: Date.now() - stepStart,
+            timestamp: new Date().toISOString()
+        }),
+
+        /**
+         * This function emits the event summarizing the audit run of the issue
+         * @param auditDetails The AuditDetails returned for the issue, or null when the audit threw
+         * @param error The error the audit threw, if any
+         */
+        finish: (auditDetails, error) => {
+            let outcome = AUDIT_OUTCOMES.ERROR;
+            if(!error){
+                outcome = auditDetails.auditIgnored ? AUDIT_OUTCOMES.IGNORED : auditDetails.auditPassing ? AUDIT_OUTCOMES.PASS : AUDIT_OUTCOMES.FAIL;
+            }
+
+            emit({
+                type: AUDIT_EVENT_TYPES.RUN,
+                runId,
+                issueKey: issue.key,
+                team,
+                outcome,
+                auditPath: auditDetails ? auditDetails.auditPath || null : null,
+                appliedPolicyRule: auditDetails && auditDetails.appliedPolicyRule ? {type: auditDetails.appliedPolicyRule.type, id: auditDetails.appliedPolicyRule.id} : null,
+                failedQuestions: auditDetails ? (auditDetails.questionResults || []).filter(result => result.required && result.reason).map(result => result.id) : [],
+                ruleVersion: auditDetails ? auditDetails.ruleVersion : null,
+                error: error ? error.message : null,
+                durationMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    return emitter;
+}
+
+module.exports = {
+    AUDIT_EVENT_TYPES,
+    AUDIT_OUTCOMES,
+    AUDIT_PATHS,
+    createAuditEventEmitter
+};
@@ -0,0 +1,245 @@
+/**
+ * This module exports the results of the Hazard Analysis audits as an evidence trail for quality and regulatory review:
+ * a stable JSON schema, a CSV for spreadsheets and JUnit XML so CI can show each hazard check as a test case.
+ */
+
+// Bump this whenever a field of the exported record changes meaning or is removed
+const EXPORT_SCHEMA_VERSION = "1";
+
+const AUDIT_STATUS = Object.freeze({
+    PASS: "pass",
+    FAIL: "fail",
+    IGNORED: "ignored",
+    ERROR: "error"
+});
+
+// These audits are already exported as the question and review sign-off test cases of the JUnit XML
+const QUESTION_AUDIT_NAMES = Object.freeze(["Hazard Analysis Completed", "Hazard Analysis Reviewed"]);
+
+const CSV_COLUMNS = Object.freeze([
+    "issueKey", "subTaskKey", "analysisKey", "auditStatus", "questionId", "question", "questionStatus",
+    "classification", "answer", "reason", "reviewers", "auditedAt", "ruleVersion"
+]);
+
+/**
+ * This function turns the results of the Hazard Analysis audits into export records
+ * @param results An AuditDetails returned by runHazardAnalysisAudits, a list of them, a batch summary from
+ *  runHazardAnalysisAuditBatch or its results
+ * @returns {Array} One record per audited issue.  An issue whose audit errored in a batch has an error record, with the
+ *  error message as its details, so it stays in the evidence trail.
+ */
+function toAuditRecords(results){
+    // A batch summary holds the result of each issue on its results property
+    const auditResults = results && !Array.isArray(results) && Array.isArray(results.results) ? results.results : [].concat(results);
+
+    return auditResults.filter(result => result).map(result => {
+        if(!result.issue && !result.issueKey){
+            throw new Error("The Hazard Analysis audit results to export must be AuditDetails returned by runHazardAnalysisAudits, a batch summary or its results");
+        }
+
+        // A batch result wraps the AuditDetails, which is null when the audit of that issue errored
+        if(result.error && !result.auditDetails){
+            return {
+                issueKey: result.issue.key,
+                subTaskKey: null,
+                analysisKey: null,
+                status: AUDIT_STATUS.ERROR,
+                details: result.error.message || String(result.error),
+                messageId: null,
+                failedAudits: [],
+                questions: [],
+                reviewers: [],
+                review: null,
+                auditedAt: null,
+                ruleVersion: null
+            };
+        }
+
+        const auditDetails = typeof result.auditDetails === "object" && result.auditDetails !== null ? result.auditDetails : result;
+        return {
+            issueKey: auditDetails.issueKey,
+            subTaskKey: auditDetails.subTaskKey || null,
+            analysisKey: auditDetails.analysisKey || null,
+            status: auditDetails.auditIgnored ? AUDIT_STATUS.IGNORED : auditDetails.auditPassing ? AUDIT_STATUS.PASS : AUDIT_STATUS.FAIL,
+            details: auditDetails.auditDetails || "",
+            messageId: auditDetails.messageId || null,
+            failedAudits: (auditDetails.auditResults || []).filter(audit => !audit.auditPassing).map(audit => ({
+                name: audit.auditName,
+                details: audit.auditDetails || "",
+                messageId: audit.messageId || null
+            })),
+            questions: (auditDetails.questionResults || []).map(questionResult => ({
+                id: questionResult.id,
+                heading: questionResult.heading,
+                status: questionResult.status,
+                classification: questionResult.classification || null,
+                answer: questionResult.answer,
+                reason: questionResult.reason,
+                warnings: questionResult.warnings || [],
+                history: findAnswerChanges(auditDetails, questionResult.id)
+            })),
+            reviewers: (auditDetails.approvals || []).map(approval => ({name: approval.name, approvedAt: approval.approvedAt})),
+            review: auditDetails.review ? {
+                status: auditDetails.review.auditPassing ? AUDIT_STATUS.PASS : AUDIT_STATUS.FAIL,
+                details: auditDetails.review.auditDetails || "",
+                messageId: auditDetails.review.messageId || null
+            } : null,
+            auditedAt: auditDetails.auditedAt,
+            ruleVersion: auditDetails.ruleVersion
+        };
+    });
+}
+
+/**
+ * This function exports the audit results as JSON
+ * @param results The AuditDetails returned by runHazardAnalysisAudits, or the results of a batch summary
+ * @returns {string} A JSON document with the export schema version, the time of the export and one record per issue
+ */
+function toJSON(results){
+    return JSON.stringify({
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        records: toAuditRecords(results)
+    }, null, 2);
+}
+
+/**
+ * This function exports the audit results as CSV with one row per question of each audited issue.  An issue without
+ * any question results, such as an ignored issue, has a single row with the question columns left empty, except for
+ * the reason of an issue whose audit errored.
+ * @param results The AuditDetails returned by runHazardAnalysisAudits, or the results of a batch summary
+ * @returns {string} The CSV, including a header row
+ */
+function toCSV(results){
+    const rows = [CSV_COLUMNS.slice()];
+
+    toAuditRecords(results).forEach(record => {
+        const issueColumns = {
+            issueKey: record.issueKey,
+            subTaskKey: record.subTaskKey,
+            analysisKey: record.analysisKey,
+            auditStatus: record.status,
+            reviewers: record.reviewers.map(reviewer => `${reviewer.name} (${reviewer.approvedAt})`).join("; "),
+            auditedAt: record.auditedAt,
+            ruleVersion: record.ruleVersion
+        };
+        // The reason column of an issue whose audit errored holds the error
+        const questions = record.questions.length ? record.questions : [{reason: record.status === AUDIT_STATUS.ERROR ? record.details : null}];
+
+        questions.forEach(question => {
+            const columns = Object.assign({}, issueColumns, {
+                questionId: question.id,
+                question: question.heading,
+                questionStatus: question.status,
+                classification: question.classification,
+                answer: question.answer,
+                reason: question.reason
+            });
+            rows.push(CSV_COLUMNS.map(column => columns[column]));
+        });
+    });
+
+    return rows.map(row => row.map(escapeCSV).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * This function exports the audit results as JUnit XML.  Each issue is a test suite and each hazard question is a test
+ * case, along with a test case for the review sign-off and one for every other audit which failed.  Ignored issues are
+ * reported as skipped and issues whose audit errored as errors.
+ * @param results The AuditDetails returned by runHazardAnalysisAudits, or the results of a batch summary
+ * @returns {string} The JUnit XML document
+ */
+function toJUnitXML(results){
+    const records = toAuditRecords(results);
+    let totalTests = 0;
+    let totalFailures = 0;
+    let totalErrors = 0;
+
+    const suites = records.map(record => {
+        const testCases = [];
+
+        if(record.status === AUDIT_STATUS.IGNORED){
+            testCases.push({name: "Hazard Analysis Sub-Task Audit", skipped: record.details || "Audit ignored"});
+        }
+        else if(record.status === AUDIT_STATUS.ERROR){
+            testCases.push({name: "Hazard Analysis Sub-Task Audit", error: record.details});
+        }
+        else if(!record.questions.length){
+            testCases.push({name: "Hazard Analysis Sub-Task Audit", failure: record.status === AUDIT_STATUS.FAIL ? record.details || "Hazard Analysis audit failed" : null});
+        }
+        else{
+            record.questions.forEach(question => {
+                testCases.push({name: question.heading, failure: question.reason ? `${question.status}: ${question.reason}` : null});
+            });
+            // The review sign-off is only audited once every question is answered
+            testCases.push(record.review ? {
+                name: "Hazard Analysis Reviewed",
+                failure: record.review.status === AUDIT_STATUS.FAIL ? record.review.details || "Hazard Analysis Reviewed failed" : null
+            } : {name: "Hazard Analysis Reviewed", skipped: "The review sign-off is not audited until the Hazard Analysis is complete"});
+            record.failedAudits.filter(audit => !QUESTION_AUDIT_NAMES.includes(audit.name)).forEach(audit => {
+                testCases.push({name: audit.name, failure: audit.details || `${audit.name} failed`});
+            });
+        }
+
+        // A failing audit always fails its suite, even when none of the test cases above caught the failure
+        if(record.status === AUDIT_STATUS.FAIL && !testCases.some(testCase => testCase.failure)){
+            testCases.push({name: "Hazard Analysis Sub-Task Audit", failure: record.details || "Hazard Analysis audit failed"});
+        }
+
+        const failures = testCases.filter(testCase => testCase.failure).length;
+        const errors = testCases.filter(testCase => testCase.error).length;
+        const skipped = testCases.filter(testCase => testCase.skipped).length;
+        totalTests += testCases.length;
+        totalFailures += failures;
+        totalErrors += errors;
+
+        const properties = ["subTaskKey", "analysisKey", "ruleVersion"].filter(name => record[name])
+            .map(name => `      <property name="${name}" value="${escapeXML(record[name])}"/>`);
+
+        return `  <testsuite name="${escapeXML(record.issueKey)}" tests="${testCases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" timestamp="${escapeXML(record.auditedAt || "")}">\n` +
+            (properties.length ? `    <properties>\n${properties.join("\n")}\n    </properties>\n` : "") +
+            testCases.map(testCase => {
+                const open = `    <testcase classname="HazardAnalysis.${escapeXML(record.issueKey)}" name="${escapeXML(testCase.name)}"`;
+                if(testCase.failure){
+                    return `${open}>\n      <failure message="${escapeXML(testCase.failure)}"/>\n    </testcase>`;
+                }
+                if(testCase.error){
+                    return `${open}>\n      <error message="${escapeXML(testCase.error)}"/>\n    </testcase>`;
+                }
+                if(testCase.skipped){
+                    return `${open}>\n      <skipped message="${escapeXML(testCase.skipped)}"/>\n    </testcase>`;
+                }
+                return `${open}/>`;
+            }).join("\n") +
+            "\n  </testsuite>";
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Hazard Analysis Audits" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}">\n` +
+        (suites.length ? suites.join("\n") + "\n" : "") + "</testsuites>\n";
+}
+
+function findAnswerChanges(auditDetails, questionId){
+    const questionHistory = (auditDetails.answerHistory || []).find(history => history.id === questionId);
+    return questionHistory ? questionHistory.changes : [];
+}
+
+// A value which a spreadsheet would read as a formula is prefixed with a quote so it is shown as text
+function escapeCSV(value){
+    let text = value === undefined || value === null ? "" : String(value);
+    if(/^[=+\-@\t\r]/.test(text)){
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function escapeXML(value){
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+module.exports = {
+    EXPORT_SCHEMA_VERSION,
+    toAuditRecords,
+    toJSON,
+    toCSV,
+    toJUnitXML
+};
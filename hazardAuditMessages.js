@@ -0,0 +1,330 @@
+/**
+ * This module holds the messages of the Hazard Analysis audits.  Every message has an id, {placeholders} and a
+ * translation per locale in hazardAuditMessages.json.  Messages are written in a small subset of Jira wiki markup
+ * (*bold*, _italic_, [text|url] links, "* " bullet lines, {quote} and {noformat}) and can be rendered as wiki markup for
+ * Jira Server comments, as an Atlassian Document Format (ADF) document for Jira Cloud or as plain text.
+ */
+
+const MESSAGE_FORMATS = Object.freeze({
+    WIKI: "wiki",
+    ADF: "adf",
+    TEXT: "text"
+});
+
+// Wiki macros share the {name} syntax of placeholders, so they can not be used as placeholder names
+const WIKI_MACROS = Object.freeze(["quote", "noformat"]);
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const INLINE_PATTERN = /\[([^\]|\n]+)\|([^\]\n]+)\]|(?<![\w*])\*(\S(?:[^*\n]*\S)?)\*(?![\w*])|(?<![\w_])_(\S(?:[^_\n]*\S)?)_(?![\w_])/g;
+
+/**
+ * This function validates a raw message catalog and returns a frozen copy of it
+ * @param rawCatalog The catalog object, typically parsed from a JSON file such as hazardAuditMessages.json
+ * @param catalogName A name for the catalog which is used in any validation error messages
+ * @returns {Object} The catalog with its default locale, links and the messages of each locale
+ */
+function loadMessageCatalog(rawCatalog, catalogName = "Hazard Analysis audit message catalog"){
+    const errors = [];
+
+    if(!rawCatalog || typeof rawCatalog !== "object" || !rawCatalog.locales || typeof rawCatalog.locales !== "object"){
+        throw new Error(`${catalogName} must be an object with a "locales" object`);
+    }
+
+    const links = rawCatalog.links || {};
+    Object.keys(links).forEach(name => {
+        if(typeof links[name] !== "string" || !links[name].trim()){
+            errors.push(`link "${name}" must be a non-empty string`);
+        }
+    });
+
+    const defaultMessages = rawCatalog.locales[rawCatalog.defaultLocale];
+    if(!defaultMessages || typeof defaultMessages !== "object"){
+        throw new Error(`${catalogName} must have messages for its "defaultLocale"`);
+    }
+
+    Object.keys(rawCatalog.locales).forEach(locale => {
+        const messages = rawCatalog.locales[locale];
+        if(!messages || typeof messages !== "object"){
+            errors.push(`locale "${locale}" must be an object of messages`);
+            return;
+        }
+
+        Object.keys(messages).forEach(messageId => {
+            const label = `message "${messageId}" of locale "${locale}"`;
+            if(typeof messages[messageId] !== "string"){
+                errors.push(`${label} must be a string`);
+                return;
+            }
+            if(!(messageId in defaultMessages)){
+                errors.push(`${label} does not exist in the default locale "${rawCatalog.defaultLocale}"`);
+                return;
+            }
+
+            // A translation must use exactly the placeholders of the default message or a value would be lost
+            const expected = getPlaceholders(defaultMessages[messageId]).join(", ");
+            const actual = getPlaceholders(messages[messageId]).join(", ");
+            if(expected !== actual){
+                errors.push(`${label} has the placeholders {${actual}} but the default locale has {${expected}}`);
+            }
+        });
+    });
+
+    if(errors.length){
+        throw new Error(`${catalogName} is invalid:\n - ${errors.join("\n - ")}`);
+    }
+
+    return deepFreeze({
+        defaultLocale: rawCatalog.defaultLocale,
+        links: Object.assign({}, links),
+        locales: JSON.parse(JSON.stringify(rawCatalog.locales))
+    });
+}
+
+/**
+ * This function renders a message of the catalog
+ * @param messageId The id of the message, such as "subTask.missing"
+ * @param params The values of the placeholders of the message.  A value may be a string or number, a nested message of
+ *  the form {messageId, params}, a list of values from messageList or an array, which is rendered one value per line.
+ *  The links of the catalog, such as templateLink, are always available as placeholders.
+ * @param options Optional settings for rendering:
+ *  - locale: the locale to render in, falling back to the default locale for a missing locale or translation
+ *  - format: one of MESSAGE_FORMATS.  Defaults to wiki markup
+ *  - catalog: the loaded message catalog.  Defaults to the catalog in hazardAuditMessages.json
+ * @returns {string|Object} The rendered message, which is an ADF document object for the ADF format
+ */
+function formatMessage(messageId, params = {}, options = {}){
+    const catalog = options.catalog || DEFAULT_MESSAGE_CATALOG;
+    const markup = resolveMessage(catalog, resolveLocale(catalog, options.locale), messageId, params);
+    return renderMarkup(markup, options.format || MESSAGE_FORMATS.WIKI);
+}
+
+/**
+ * This function groups values for a single placeholder, such as a comma separated list of nested messages
+ * @param values The values, each of which may be anything formatMessage accepts as a placeholder value
+ * @param separator The text placed between the values.  Defaults to a new line
+ * @returns {Object} The list to use as a placeholder value
+ */
+function messageList(values, separator = "\n"){
+    return {messages: values, separator};
+}
+
+/**
+ * This function sets the message of an AuditDetails.  The message id and placeholder values are kept on the messageId
+ * and messageParams properties so tooling can match on the id and the message can be rendered again for another locale
+ * or destination with renderAuditMessage.  The auditDetails property holds the message as wiki markup, which is what
+ * the audit comments posted to Jira are made of.
+ * @param auditDetails The AuditDetails to set the message of
+ * @param messageId The id of the message
+ * @param params The values of the placeholders of the message, see formatMessage
+ * @param locale The locale to render the auditDetails property in.  Defaults to the default locale of the catalog
+ * @returns {AuditDetails} The same AuditDetails
+ */
+function setAuditMessage(auditDetails, messageId, params = {}, locale){
+    auditDetails.messageId = messageId;
+    auditDetails.messageParams = params;
+    auditDetails.auditDetails = formatMessage(messageId, params, {locale, format: MESSAGE_FORMATS.WIKI});
+    return auditDetails;
+}
+
+/**
+ * This function renders the message of an AuditDetails for a destination, such as ADF for a Jira Cloud comment
+ * @param auditDetails The AuditDetails whose message is rendered.  An AuditDetails without a messageId, such as those of
+ *  audits from outside this module, has its auditDetails wiki markup converted instead.
+ * @param options The locale, format and catalog to render with, see formatMessage
+ * @returns {string|Object} The rendered message, which is an ADF document object for the ADF format
+ */
+function renderAuditMessage(auditDetails, options = {}){
+    if(!auditDetails.messageId){
+        return renderMarkup(auditDetails.auditDetails || "", options.format || MESSAGE_FORMATS.WIKI);
+    }
+    return formatMessage(auditDetails.messageId, auditDetails.messageParams, options);
+}
+
+function resolveLocale(catalog, locale){
+    if(locale && catalog.locales[locale]){
+        return locale;
+    }
+
+    // Fall back from a regional locale such as "de-DE" to its language
+    const language = locale ? locale.split(/[-_]/)[0] : null;
+    return language && catalog.locales[language] ? language : catalog.defaultLocale;
+}
+
+function resolveMessage(catalog, locale, messageId, params){
+    const template = catalog.locales[locale][messageId] !== undefined ? catalog.locales[locale][messageId] : catalog.locales[catalog.defaultLocale][messageId];
+    if(template === undefined){
+        throw new Error(`Unknown Hazard Analysis audit message "${messageId}"`);
+    }
+
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if(params && Object.prototype.hasOwnProperty.call(params, name)){
+            return resolveValue(catalog, locale, params[name]);
+        }
+        return catalog.links[name] !== undefined ? catalog.links[name] : placeholder;
+    });
+}
+
+function resolveValue(catalog, locale, value){
+    if(value === undefined || value === null){
+        return "";
+    }
+    if(Array.isArray(value)){
+        return value.map(item => resolveValue(catalog, locale, item)).join("\n");
+    }
+    if(typeof value === "object" && value.messageId){
+        return resolveMessage(catalog, locale, value.messageId, value.params || {});
+    }
+    if(typeof value === "object" && Array.isArray(value.messages)){
+        return value.messages.map(item => resolveValue(catalog, locale, item)).join(value.separator);
+    }
+    return String(value);
+}
+
+function renderMarkup(markup, format){
+    switch(format){
+        case MESSAGE_FORMATS.WIKI:
+            return markup;
+        case MESSAGE_FORMATS.TEXT:
+            return markupToText(markup);
+        case MESSAGE_FORMATS.ADF:
+            return markupToADF(markup);
+        default:
+            throw new Error(`Unknown Hazard Analysis audit message format "${format}"`);
+    }
+}
+
+// Splits the markup into plain, {quote} and {noformat} segments
+function parseSegments(markup){
+    const segments = [];
+    const macroPattern = /\{(quote|noformat)\}([\s\S]*?)\{\1\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while((match = macroPattern.exec(markup))){
+        segments.push({kind: "text", content: markup.substring(lastIndex, match.index)});
+        segments.push({kind: match[1], content: match[2]});
+        lastIndex = macroPattern.lastIndex;
+    }
+    segments.push({kind: "text", content: markup.substring(lastIndex)});
+
+    return segments;
+}
+
+function markupToText(markup){
+    const inlineToText = line => line.replace(INLINE_PATTERN, (match, linkText, url, bold, italic) => (linkText ? `${linkText} (${url})` : bold || italic));
+    const linesToText = (content, prefix) => content.split("\n").map(line => prefix + inlineToText(line.replace(/^\* /, "- "))).join("\n");
+
+    return parseSegments(markup).map(segment => {
+        if(segment.kind === "noformat"){
+            return segment.content;
+        }
+        return linesToText(segment.content, segment.kind === "quote" ? "> " : "");
+    }).join("");
+}
+
+function markupToADF(markup){
+    const content = [];
+
+    parseSegments(markup).forEach(segment => {
+        if(segment.kind === "noformat"){
+            const text = segment.content.replace(/^\n|\n$/g, "");
+            content.push({type: "codeBlock", content: text ? [{type: "text", text}] : []});
+        }
+        else if(segment.kind === "quote"){
+            const quoted = linesToADFBlocks(segment.content);
+            if(quoted.length){
+                content.push({type: "blockquote", content: quoted});
+            }
+        }
+        else{
+            content.push(...linesToADFBlocks(segment.content));
+        }
+    });
+
+    return {type: "doc", version: 1, content};
+}
+
+function linesToADFBlocks(text){
+    const blocks = [];
+
+    text.split("\n").filter(line => line.trim()).forEach(line => {
+        const bullet = /^\* (.*)$/.exec(line);
+        if(!bullet){
+            blocks.push({type: "paragraph", content: inlineToADF(line)});
+            return;
+        }
+
+        // Consecutive bullet lines form one list
+        const previous = blocks[blocks.length - 1];
+        const listItem = {type: "listItem", content: [{type: "paragraph", content: inlineToADF(bullet[1])}]};
+        if(previous && previous.type === "bulletList"){
+            previous.content.push(listItem);
+        }
+        else{
+            blocks.push({type: "bulletList", content: [listItem]});
+        }
+    });
+
+    return blocks;
+}
+
+function inlineToADF(line){
+    const nodes = [];
+    const pushText = (text, marks) => {
+        if(text){
+            nodes.push(marks ? {type: "text", text, marks} : {type: "text", text});
+        }
+    };
+    let lastIndex = 0;
+    let match;
+
+    INLINE_PATTERN.lastIndex = 0;
+    while((match = INLINE_PATTERN.exec(line))){
+        pushText(line.substring(lastIndex, match.index));
+        if(match[1]){
+            pushText(match[1], [{type: "link", attrs: {href: match[2]}}]);
+        }
+        else{
+            pushText(match[3] || match[4], [{type: match[3] ? "strong" : "em"}]);
+        }
+        lastIndex = INLINE_PATTERN.lastIndex;
+    }
+    pushText(line.substring(lastIndex));
+
+    return nodes;
+}
+
+function getPlaceholders(message){
+    const names = new Set();
+    let match;
+
+    PLACEHOLDER_PATTERN.lastIndex = 0;
+    while((match = PLACEHOLDER_PATTERN.exec(message))){
+        if(!WIKI_MACROS.includes(match[1])){
+            names.add(match[1]);
+        }
+    }
+
+    return Array.from(names).sort();
+}
+
+function deepFreeze(value){
+    if(value && typeof value === "object"){
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// The default catalog is validated as soon as this module is required
+const DEFAULT_MESSAGE_CATALOG = loadMessageCatalog(require("./hazardAuditMessages.json"), "hazardAuditMessages.json");
+
+module.exports = {
+    MESSAGE_FORMATS,
+    loadMessageCatalog,
+    formatMessage,
+    messageList,
+    setAuditMessage,
+    renderAuditMessage,
+    DEFAULT_MESSAGE_CATALOG
+};
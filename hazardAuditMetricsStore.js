@@ -0,0 +1,129 @@
+/**
+ * This module keeps the events emitted by the Hazard Analysis audits (see hazardAuditEvents.js) in a local directory so
+ * trends can be reported across audit runs.  The events are appended as JSON lines to one file per ISO week, which keeps
+ * each file small and lets a report read only the weeks it covers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const EVENT_FILE_PATTERN = /^hazard-audit-events-(\d{4})-W(\d{2})\.jsonl$/;
+
+/**
+ * This function creates a metrics store in a directory, which is created when the first event is recorded
+ * @param directory The directory holding the event files
+ * @returns {Object} The store, with record and recordAll to append events and readEvents to read them back
+ */
+function createMetricsStore(directory){
+    if(typeof directory !== "string" || !directory.trim().length){
+        throw new Error("The Hazard Analysis metrics store needs a directory");
+    }
+
+    const store = {
+        directory,
+
+        /**
+         * This function appends an event to the file of the week it happened in.  It can be passed as the onAuditEvent
+         * option of runHazardAnalysisAudits.
+         * @param event The event to record
+         * @returns {Promise<void>}
+         */
+        record: event => store.recordAll([event]),
+
+        /**
+         * This function appends several events, such as the auditEvents of an AuditDetails, with one write per week
+         * @param events The events to record
+         * @returns {Promise<void>}
+         */
+        recordAll: async events => {
+            const linesByFile = new Map();
+            events.forEach(event => {
+                const fileName = getEventFileName(new Date(event.timestamp));
+                linesByFile.set(fileName, (linesByFile.get(fileName) || "") + JSON.stringify(event) + "\n");
+            });
+            if(!linesByFile.size){
+                return;
+            }
+
+            await fs.promises.mkdir(directory, {recursive: true});
+            for(const [fileName, lines] of linesByFile){
+                await fs.promises.appendFile(path.join(directory, fileName), lines, "utf8");
+            }
+        },
+
+        /**
+         * This function reads the recorded events back, oldest first
+         * @param range Optional since and until Dates limiting the events returned
+         * @returns {Promise<Array>} The events
+         */
+        readEvents: async (range = {}) => {
+            let fileNames;
+            try{
+                fileNames = await fs.promises.readdir(directory);
+            }
+            catch(error){
+                if(error.code === "ENOENT"){
+                    return [];
+                }
+                throw error;
+            }
+
+            // Skip the files of weeks entirely outside of the range before reading them
+            const firstWeek = range.since ? getISOWeek(range.since) : null;
+            const lastWeek = range.until ? getISOWeek(range.until) : null;
+            fileNames = fileNames.filter(fileName => {
+                const match = fileName.match(EVENT_FILE_PATTERN);
+                if(!match){
+                    return false;
+                }
+                const week = `${match[1]}-W${match[2]}`;
+                return (!firstWeek || week >= firstWeek) && (!lastWeek || week <= lastWeek);
+            }).sort();
+
+            const events = [];
+            for(const fileName of fileNames){
+                const content = await fs.promises.readFile(path.join(directory, fileName), "utf8");
+                content.split("\n").forEach((line, index) => {
+                    if(!line.trim()){
+                        return;
+                    }
+                    try{
+                        events.push(JSON.parse(line));
+                    }
+                    catch(error){
+                        throw new Error(`Line ${index + 1} of ${fileName} in the Hazard Analysis metrics store is not valid JSON`);
+                    }
+                });
+            }
+
+            return events
+                .filter(event => (!range.since || new Date(event.timestamp) >= range.since) && (!range.until || new Date(event.timestamp) <= range.until))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+    };
+
+    return store;
+}
+
+/**
+ * This function names the ISO 8601 week a date falls in, such as "2020-W03".  Weeks start on Monday and the first week
+ * of a year is the one holding its first Thursday.
+ * @param date The Date
+ * @returns {string} The ISO week, which sorts in date order
+ */
+function getISOWeek(date){
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7);
+    const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+    const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getUTCDay() + 6) % 7) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+function getEventFileName(date){
+    return `hazard-audit-events-${getISOWeek(date)}.jsonl`;
+}
+
+module.exports = {
+    createMetricsStore,
+    getISOWeek
+};
@@ -0,0 +1,260 @@
+/**
+ * This module loads and applies the policies which decide whether an issue is subject to the Hazard Analysis audits:
+ * the date auditing became effective for each project and issue type, exemptions by project, component, issue type or
+ * priority, ignore labels which can expire or require an approver, and how unresolved issues are treated.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+const hazardAuditMessages = require("./hazardAuditMessages.js");
+const hazardIssueHistory = require("./hazardIssueHistory.js");
+const hazardJiraLookups = require("./hazardJiraLookups.js");
+
+const POLICY_RULE_TYPES = Object.freeze({
+    EFFECTIVE_DATE: "effectiveDate",
+    UNRESOLVED: "unresolved",
+    EXEMPTION: "exemption",
+    IGNORE_LABEL: "ignoreLabel"
+});
+
+const UNRESOLVED_HANDLING = Object.freeze({
+    AUDIT: "audit",
+    IGNORE: "ignore"
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * This function validates a raw audit policy and returns a normalized, frozen copy of it
+ * @param rawPolicy The policy object, typically parsed from a JSON file such as hazardAuditPolicies.json
+ * @param policyName A name for the policy which is used in any validation error messages
+ * @returns {Object} The normalized policy
+ */
+function loadAuditPolicy(rawPolicy, policyName = "Hazard Analysis audit policy"){
+    const errors = [];
+
+    if(!rawPolicy || typeof rawPolicy !== "object"){
+        throw new Error(`${policyName} must be an object`);
+    }
+
+    const effectiveDates = validateRules(rawPolicy.effectiveDates, "effectiveDates", errors, (rule, label) => {
+        validateStringArrays(rule, ["projects", "issueTypes"], label, errors);
+        if(isNaN(new Date(rule.effectiveDate).getTime())){
+            errors.push(`${label} must have a valid "effectiveDate"`);
+        }
+    });
+    if(!effectiveDates.length){
+        errors.push(`"effectiveDates" must contain at least one rule`);
+    }
+
+    const unresolvedIssues = rawPolicy.unresolvedIssues || UNRESOLVED_HANDLING.AUDIT;
+    if(!Object.values(UNRESOLVED_HANDLING).includes(unresolvedIssues)){
+        errors.push(`"unresolvedIssues" must be one of ${Object.values(UNRESOLVED_HANDLING).join(", ")}`);
+    }
+
+    const exemptions = validateRules(rawPolicy.exemptions, "exemptions", errors, (rule, label) => {
+        validateStringArrays(rule, ["projects", "components", "issueTypes", "priorities"], label, errors);
+        if(!["components", "issueTypes", "priorities"].some(key => rule[key] && rule[key].length)){
+            errors.push(`${label} must name at least one component, issue type or priority`);
+        }
+    });
+
+    const ignoreLabels = validateRules(rawPolicy.ignoreLabels, "ignoreLabels", errors, (rule, label) => {
+        validateStringArrays(rule, ["approvers"], label, errors);
+        if(rule.label !== undefined && (typeof rule.label !== "string" || !rule.label.trim())){
+            errors.push(`${label} "label" must be a non-empty string, or left out for the standard ignore label`);
+        }
+        if(rule.expiresAfterDays !== undefined && rule.expiresAfterDays !== null && !(Number.isInteger(rule.expiresAfterDays) && rule.expiresAfterDays > 0)){
+            errors.push(`${label} "expiresAfterDays" must be a positive integer or null`);
+        }
+        if(rule.approverGroup !== undefined && rule.approverGroup !== null && (typeof rule.approverGroup !== "string" || !rule.approverGroup.trim())){
+            errors.push(`${label} "approverGroup" must be a non-empty string or null`);
+        }
+    });
+
+    if(errors.length){
+        throw new Error(`${policyName} is invalid:\n - ${errors.join("\n - ")}`);
+    }
+
+    return deepFreeze({
+        effectiveDates: effectiveDates.map(rule => Object.assign({projects: [], issueTypes: []}, rule, {effectiveDate: new Date(rule.effectiveDate)})),
+        unresolvedIssues,
+        exemptions: exemptions.map(rule => Object.assign({projects: [], components: [], issueTypes: [], priorities: []}, rule)),
+        ignoreLabels: ignoreLabels.map(rule => Object.assign({expiresAfterDays: null, approvers: [], approverGroup: null}, rule))
+    });
+}
+
+/**
+ * This function decides whether an issue is exempt from the Hazard Analysis audits.  The rules are checked in the order
+ * effective date, unresolved handling, exemptions and then ignore labels.  Of the effective dates the most specific
+ * matching rule applies, one naming both the project and the issue type before one naming only the project, then only
+ * the issue type, then the catch-all; within the other lists the first matching rule applies.
+ * @param issue The issue about to be audited
+ * @param policy The loaded audit policy
+ * @param lookups The Jira lookups of the audit run, see hazardJiraLookups.js.  Defaults to lookups of its own
+ * @returns {Promise<{exempt: boolean, appliedRule: Object, rejectedIgnoreLabels: Array}>} Whether the issue is exempt,
+ *  the policy rule which made it exempt or, for an unresolved issue which is audited, the unresolved rule, and any ignore
+ *  label present on the issue which was not honoured along with the reason.  A rule has its type, id, a description in
+ *  the default locale and the message it was described with, which is the catalog message {messageId, params} or the
+ *  description configured on an exemption.  The reason of an ignore label is in the default locale on reason and as the
+ *  catalog message on reasonMessage.
+ */
+async function evaluateAuditPolicy(issue, policy, lookups = hazardJiraLookups.createJiraLookups()){
+    const projectKey = issue.fields.project ? issue.fields.project.key : issue.key.split("-")[0];
+    const issueType = issue.fields.issuetype ? issue.fields.issuetype.name : null;
+    const resolutionDate = issue.fields[dependencies.jira2Fields.JIRA_FIELDS.RESOLUTION_DATE];
+    const decision = {exempt: false, appliedRule: null, rejectedIgnoreLabels: []};
+    const exemptBy = (type, rule, message) => Object.assign(decision, {exempt: true, appliedRule: describeRule(type, rule.id, message)});
+
+    if(!resolutionDate){
+        // An unresolved issue has no resolution date to grandfather it by, so it is either audited as in progress or skipped outright
+        if(policy.unresolvedIssues === UNRESOLVED_HANDLING.IGNORE){
+            return exemptBy(POLICY_RULE_TYPES.UNRESOLVED, {id: "unresolvedIssues"}, {messageId: "policy.unresolvedIgnored", params: {}});
+        }
+        decision.appliedRule = describeRule(POLICY_RULE_TYPES.UNRESOLVED, "unresolvedIssues", {messageId: "policy.unresolvedAudited", params: {}});
+    }
+    else{
+        const effectiveDateRule = policy.effectiveDates
+            .filter(rule => matchesAny(rule.projects, projectKey) && matchesAny(rule.issueTypes, issueType))
+            .reduce((mostSpecific, rule) => (!mostSpecific || getSpecificity(rule) > getSpecificity(mostSpecific) ? rule : mostSpecific), null);
+        if(effectiveDateRule && new Date(resolutionDate) < effectiveDateRule.effectiveDate){
+            return exemptBy(POLICY_RULE_TYPES.EFFECTIVE_DATE, effectiveDateRule,
+                {messageId: "policy.resolvedBeforeEffectiveDate", params: {effectiveDate: formatDate(effectiveDateRule.effectiveDate)}});
+        }
+    }
+
+    const components = (issue.fields.components || []).map(component => component.name);
+    const priority = issue.fields.priority ? issue.fields.priority.name : null;
+    const exemption = policy.exemptions.find(rule => matchesAny(rule.projects, projectKey) &&
+        matchesAny(rule.issueTypes, issueType) && matchesAny(rule.priorities, priority) &&
+        (!rule.components.length || components.some(component => rule.components.includes(component))));
+    if(exemption){
+        return exemptBy(POLICY_RULE_TYPES.EXEMPTION, exemption, exemption.description || {messageId: "policy.exempted", params: {}});
+    }
+
+    for(const rule of policy.ignoreLabels){
+        const label = rule.label || dependencies.auditHelpers.IGNORE_AUDIT_LABELS.HAZARD_ANALYSIS;
+        if(!dependencies.jiraHelpers.issueContainsAnyLabel(issue, [label])){
+            continue;
+        }
+
+        const rejection = await validateIgnoreLabel(issue, label, rule, lookups);
+        if(!rejection){
+            return exemptBy(POLICY_RULE_TYPES.IGNORE_LABEL, rule, {messageId: "policy.ignoreLabelApplied", params: {label}});
+        }
+        decision.rejectedIgnoreLabels.push({label, ruleId: rule.id, reason: hazardAuditMessages.formatMessage(rejection.messageId, rejection.params), reasonMessage: rejection});
+    }
+
+    return decision;
+}
+
+/**
+ * This function checks whether an ignore label on an issue is still valid under its rule
+ * @param issue The issue with the label
+ * @param label The ignore label
+ * @param rule The ignore label rule of the policy
+ * @param lookups The Jira lookups of the audit run
+ * @returns {Promise<Object>} The reason the label is not honoured as the catalog message {messageId, params}, or null
+ *  when it is valid
+ */
+async function validateIgnoreLabel(issue, label, rule, lookups){
+    if(!rule.expiresAfterDays && !rule.approvers.length && !rule.approverGroup){
+        return null;
+    }
+
+    const labelAddition = await hazardIssueHistory.findLabelAddition(issue, label, lookups);
+    if(!labelAddition){
+        return {messageId: "policy.ignoreLabelNotInChangelog", params: {label}};
+    }
+
+    if(rule.expiresAfterDays && Date.now() - labelAddition.created.getTime() > rule.expiresAfterDays * DAY_MS){
+        return {messageId: "policy.ignoreLabelExpired", params: {label, expiresAfterDays: rule.expiresAfterDays, addedAt: formatDate(labelAddition.created)}};
+    }
+
+    if(rule.approvers.length || rule.approverGroup){
+        const approvers = rule.approvers.slice();
+        if(rule.approverGroup){
+            approvers.push(...(await lookups.getGroupMembers(rule.approverGroup)).map(member => member.name));
+        }
+        if(!approvers.includes(labelAddition.authorName)){
+            return {messageId: "policy.ignoreLabelNotAnApprover", params: {label, author: labelAddition.author}};
+        }
+    }
+
+    return null;
+}
+
+function validateRules(rules, key, errors, validateRule){
+    if(rules === undefined){
+        return [];
+    }
+    if(!Array.isArray(rules)){
+        errors.push(`"${key}" must be an array`);
+        return [];
+    }
+
+    const seenIds = new Set();
+    rules.forEach((rule, index) => {
+        const label = `${key} rule ${rule && rule.id ? `"${rule.id}"` : `at index ${index}`}`;
+        if(!rule || typeof rule !== "object"){
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if(typeof rule.id !== "string" || !rule.id.trim()){
+            errors.push(`${label} must have a non-empty string "id" so the audit can report which rule applied`);
+        }
+        else if(seenIds.has(rule.id)){
+            errors.push(`${label} has a duplicate id`);
+        }
+        seenIds.add(rule.id);
+        validateRule(rule, label);
+    });
+
+    return rules.filter(rule => rule && typeof rule === "object");
+}
+
+function validateStringArrays(rule, keys, label, errors){
+    keys.filter(key => rule[key] !== undefined).forEach(key => {
+        if(!Array.isArray(rule[key]) || !rule[key].every(value => typeof value === "string" && value.trim())){
+            errors.push(`${label} "${key}" must be an array of non-empty strings`);
+        }
+    });
+}
+
+// A configured exemption description is used as it is written, in whichever language it was written in
+function describeRule(type, id, message){
+    const description = typeof message === "string" ? message : hazardAuditMessages.formatMessage(message.messageId, message.params);
+    return {type, id, description, message};
+}
+
+// A rule naming projects is more specific than one naming issue types, and one naming both is the most specific
+function getSpecificity(rule){
+    return (rule.projects.length ? 2 : 0) + (rule.issueTypes.length ? 1 : 0);
+}
+
+// An empty list in a rule matches everything
+function matchesAny(values, value){
+    return !values.length || values.includes(value);
+}
+
+function formatDate(date){
+    return date.toISOString().substring(0, 10);
+}
+
+function deepFreeze(value){
+    if(value && typeof value === "object" && !(value instanceof Date)){
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// The default policy is validated as soon as this module is required
+const DEFAULT_AUDIT_POLICY = loadAuditPolicy(require("./hazardAuditPolicies.json"), "hazardAuditPolicies.json");
+
+module.exports = {
+    POLICY_RULE_TYPES,
+    UNRESOLVED_HANDLING,
+    loadAuditPolicy,
+    evaluateAuditPolicy,
+    DEFAULT_AUDIT_POLICY
+};
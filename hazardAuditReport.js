@@ -0,0 +1,258 @@
+/**
+ * This module builds weekly trends from the events the Hazard Analysis audits emit (see hazardAuditEvents.js and
+ * hazardAuditMetricsStore.js): the pass rate of each team, the questions which fail most, how long sub-tasks stay
+ * failing and how often the No Work Needed path and the ignore label are used.  It can also be run as a command:
+ *
+ *     node hazardAuditReport.js <metrics directory> [--weeks <number of weeks>] [--json]
+ */
+
+const hazardAuditEvents = require("./hazardAuditEvents.js");
+const hazardAuditMetricsStore = require("./hazardAuditMetricsStore.js");
+const hazardAuditPolicy = require("./hazardAuditPolicy.js");
+
+const AUDIT_EVENT_TYPES = hazardAuditEvents.AUDIT_EVENT_TYPES;
+const AUDIT_OUTCOMES = hazardAuditEvents.AUDIT_OUTCOMES;
+
+const DAY_MS = 86400000;
+
+/**
+ * This function builds the trend report from a list of audit events.  An issue is usually audited many times a week, so
+ * each week counts the last audit run of every issue in that week.
+ * @param events The audit events, such as those read from a metrics store
+ * @param options Optional settings for the report:
+ *  - weeks: only report the last number of weeks which have events
+ *  - now: the Date the sub-tasks which are still failing are measured up to.  Defaults to the current time
+ * @returns {Object} The report with weeks (per week the results of each team and the failures of each question),
+ *  questions (the failures of each question over the report), failingDurations (per team how long sub-tasks stayed
+ *  failing) and steps (per audit step the failures and the average duration)
+ */
+function buildTrendReport(events, options = {}){
+    const now = options.now || new Date();
+    const runEvents = events.filter(event => event.type === AUDIT_EVENT_TYPES.RUN).sort(byTimestamp);
+
+    // Keep the last run of each issue per week, in week order
+    const runsByWeek = new Map();
+    runEvents.forEach(event => {
+        const week = hazardAuditMetricsStore.getISOWeek(new Date(event.timestamp));
+        if(!runsByWeek.has(week)){
+            runsByWeek.set(week, new Map());
+        }
+        runsByWeek.get(week).set(event.issueKey, event);
+    });
+    let weekNames = Array.from(runsByWeek.keys()).sort();
+    if(options.weeks){
+        weekNames = weekNames.slice(-options.weeks);
+    }
+
+    const questionTotals = new Map();
+    const weeks = weekNames.map(week => {
+        const teams = new Map();
+        const questions = new Map();
+
+        runsByWeek.get(week).forEach(event => {
+            if(!teams.has(event.team)){
+                teams.set(event.team, {team: event.team, issues: 0, passed: 0, failed: 0, ignored: 0, errors: 0, noWorkNeeded: 0, ignoreLabel: 0});
+            }
+            const teamTrend = teams.get(event.team);
+            teamTrend.issues++;
+            if(event.outcome === AUDIT_OUTCOMES.PASS){
+                teamTrend.passed++;
+            }
+            else if(event.outcome === AUDIT_OUTCOMES.FAIL){
+                teamTrend.failed++;
+            }
+            else if(event.outcome === AUDIT_OUTCOMES.IGNORED){
+                teamTrend.ignored++;
+            }
+            else{
+                teamTrend.errors++;
+            }
+            if(event.auditPath === hazardAuditEvents.AUDIT_PATHS.NO_WORK_NEEDED){
+                teamTrend.noWorkNeeded++;
+            }
+            if(event.appliedPolicyRule && event.appliedPolicyRule.type === hazardAuditPolicy.POLICY_RULE_TYPES.IGNORE_LABEL){
+                teamTrend.ignoreLabel++;
+            }
+
+            (event.failedQuestions || []).forEach(questionId => {
+                questions.set(questionId, (questions.get(questionId) || 0) + 1);
+                questionTotals.set(questionId, (questionTotals.get(questionId) || 0) + 1);
+            });
+        });
+
+        return {
+            week,
+            teams: Array.from(teams.values())
+                .map(teamTrend => Object.assign(teamTrend, {passRate: teamTrend.passed + teamTrend.failed ? teamTrend.passed / (teamTrend.passed + teamTrend.failed) : null}))
+                .sort((a, b) => a.team.localeCompare(b.team)),
+            questions: sortQuestionFailures(questions)
+        };
+    });
+
+    const reportedRuns = runEvents.filter(event => weekNames.includes(hazardAuditMetricsStore.getISOWeek(new Date(event.timestamp))));
+
+    return {
+        weeks,
+        questions: sortQuestionFailures(questionTotals),
+        failingDurations: summarizeFailingDurations(reportedRuns, now),
+        steps: summarizeSteps(events.filter(event => event.type === AUDIT_EVENT_TYPES.STEP && weekNames.includes(hazardAuditMetricsStore.getISOWeek(new Date(event.timestamp)))))
+    };
+}
+
+/**
+ * This function measures how long the sub-tasks of each team stayed failing, from the first failing audit run of an
+ * issue to the first passing run after it.  Ignored runs and runs which threw do not end a failing streak.
+ * @param runEvents The run events, oldest first
+ * @param now The Date the sub-tasks which are still failing are measured up to
+ * @returns {Array} Per team the number of failing streaks which were resolved, their average and longest length in days,
+ *  and the issues which are still failing with the day they started failing
+ */
+function summarizeFailingDurations(runEvents, now){
+    const streaksByIssue = new Map();
+    runEvents.forEach(event => {
+        const streak = streaksByIssue.get(event.issueKey) || {team: event.team, failingSince: null, resolved: []};
+        streak.team = event.team;
+        if(event.outcome === AUDIT_OUTCOMES.FAIL && !streak.failingSince){
+            streak.failingSince = new Date(event.timestamp);
+        }
+        else if(event.outcome === AUDIT_OUTCOMES.PASS && streak.failingSince){
+            streak.resolved.push((new Date(event.timestamp) - streak.failingSince) / DAY_MS);
+            streak.failingSince = null;
+        }
+        streaksByIssue.set(event.issueKey, streak);
+    });
+
+    const teams = new Map();
+    streaksByIssue.forEach((streak, issueKey) => {
+        if(!teams.has(streak.team)){
+            teams.set(streak.team, {team: streak.team, resolvedDays: [], stillFailing: []});
+        }
+        const teamDurations = teams.get(streak.team);
+        teamDurations.resolvedDays.push(...streak.resolved);
+        if(streak.failingSince){
+            teamDurations.stillFailing.push({issueKey, failingSince: streak.failingSince.toISOString(), days: roundDays((now - streak.failingSince) / DAY_MS)});
+        }
+    });
+
+    return Array.from(teams.values()).map(teamDurations => ({
+        team: teamDurations.team,
+        resolved: teamDurations.resolvedDays.length,
+        averageDays: teamDurations.resolvedDays.length ? roundDays(teamDurations.resolvedDays.reduce((total, days) => total + days, 0) / teamDurations.resolvedDays.length) : null,
+        longestDays: teamDurations.resolvedDays.length ? roundDays(Math.max(...teamDurations.resolvedDays)) : null,
+        stillFailing: teamDurations.stillFailing.sort((a, b) => b.days - a.days)
+    })).sort((a, b) => a.team.localeCompare(b.team));
+}
+
+function summarizeSteps(stepEvents){
+    const steps = new Map();
+    stepEvents.forEach(event => {
+        const step = steps.get(event.auditName) || {auditName: event.auditName, runs: 0, failures: 0, totalDurationMs: 0};
+        step.runs++;
+        step.failures += event.outcome === AUDIT_OUTCOMES.FAIL ? 1 : 0;
+        step.totalDurationMs += event.durationMs || 0;
+        steps.set(event.auditName, step);
+    });
+
+    return Array.from(steps.values())
+        .map(step => ({auditName: step.auditName, runs: step.runs, failures: step.failures, averageDurationMs: Math.round(step.totalDurationMs / step.runs)}))
+        .sort((a, b) => b.failures - a.failures || a.auditName.localeCompare(b.auditName));
+}
+
+function sortQuestionFailures(questions){
+    return Array.from(questions, ([id, failures]) => ({id, failures})).sort((a, b) => b.failures - a.failures || a.id.localeCompare(b.id));
+}
+
+function roundDays(days){
+    return Math.round(days * 10) / 10;
+}
+
+function byTimestamp(a, b){
+    return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+/**
+ * This function formats a trend report as plain text tables
+ * @param report The report from buildTrendReport
+ * @returns {string} The report text
+ */
+function formatTrendReport(report){
+    const lines = [];
+    const table = (headings, rows) => {
+        const widths = headings.map((heading, column) => Math.max(heading.length, ...rows.map(row => String(row[column]).length)));
+        const format = row => row.map((value, column) => String(value).padEnd(widths[column])).join("  ").trimEnd();
+        lines.push(format(headings), widths.map(width => "-".repeat(width)).join("  "), ...rows.map(format), "");
+    };
+
+    if(!report.weeks.length){
+        return "No Hazard Analysis audit events were found\n";
+    }
+
+    lines.push("Hazard Analysis audits per team and week", "");
+    table(["Week", "Team", "Issues", "Passed", "Failed", "Pass rate", "Ignored", "Ignore label", "No Work Needed", "Errors"],
+        [].concat(...report.weeks.map(week => week.teams.map(teamTrend => [
+            week.week,
+            teamTrend.team,
+            teamTrend.issues,
+            teamTrend.passed,
+            teamTrend.failed,
+            teamTrend.passRate === null ? "-" : `${Math.round(teamTrend.passRate * 100)}%`,
+            teamTrend.ignored,
+            teamTrend.ignoreLabel,
+            teamTrend.noWorkNeeded,
+            teamTrend.errors
+        ]))));
+
+    lines.push("Failing questions per week", "");
+    const questionIds = report.questions.map(question => question.id);
+    table(["Week", ...questionIds],
+        report.weeks.map(week => [week.week, ...questionIds.map(id => (week.questions.find(question => question.id === id) || {failures: 0}).failures)]));
+
+    lines.push("Days sub-tasks stayed failing", "");
+    table(["Team", "Resolved", "Average days", "Longest days", "Still failing", "Oldest failing since"],
+        report.failingDurations.map(teamDurations => [
+            teamDurations.team,
+            teamDurations.resolved,
+            teamDurations.averageDays === null ? "-" : teamDurations.averageDays,
+            teamDurations.longestDays === null ? "-" : teamDurations.longestDays,
+            teamDurations.stillFailing.length,
+            teamDurations.stillFailing.length ? `${teamDurations.stillFailing[0].issueKey} (${teamDurations.stillFailing[0].days} days)` : "-"
+        ]));
+
+    lines.push("Audit steps", "");
+    table(["Audit", "Runs", "Failures", "Average ms"],
+        report.steps.map(step => [step.auditName, step.runs, step.failures, step.averageDurationMs]));
+
+    return lines.join("\n");
+}
+
+/**
+ * This function runs the report command
+ * @param args The command line arguments after the script name
+ * @returns {Promise<string>} The report, as text or as JSON with --json
+ */
+async function runReportCommand(args){
+    const directory = args.find((arg, index) => !arg.startsWith("--") && args[index - 1] !== "--weeks");
+    const weeksIndex = args.indexOf("--weeks");
+    const weeks = weeksIndex === -1 ? null : Number(args[weeksIndex + 1]);
+    if(!directory || (weeks !== null && !(Number.isInteger(weeks) && weeks > 0))){
+        throw new Error("Usage: node hazardAuditReport.js <metrics directory> [--weeks <number of weeks>] [--json]");
+    }
+
+    const report = buildTrendReport(await hazardAuditMetricsStore.createMetricsStore(directory).readEvents(), {weeks});
+    return args.includes("--json") ? JSON.stringify(report, null, 4) + "\n" : formatTrendReport(report);
+}
+
+if(require.main === module){
+    runReportCommand(process.argv.slice(2))
+        .then(output => process.stdout.write(output))
+        .catch(error => {
+            process.stderr.write(`${error.message}\n`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    buildTrendReport,
+    formatTrendReport,
+    runReportCommand
+};
@@ -0,0 +1,191 @@
+/**
+ * This module normalizes the description of a Hazard Analysis sub-task before the questions are extracted from it.
+ * Jira Server returns the description as wiki markup, Jira Cloud (REST v3) returns an Atlassian Document Format (ADF)
+ * document and some teams paste Markdown.  Each is turned into the same canonical structure: one line of plain text per
+ * block with the formatting markup removed.
+ */
+
+const DESCRIPTION_FORMATS = Object.freeze({
+    WIKI: "wiki",
+    ADF: "adf",
+    MARKDOWN: "markdown",
+    PLAIN: "plain"
+});
+
+// ADF nodes which start a new block, and therefore a new line, in the canonical text
+const ADF_BLOCK_NODES = ["paragraph", "heading", "blockquote", "listItem", "codeBlock", "panel", "tableRow", "tableHeader", "tableCell", "rule", "mediaSingle", "expand", "decisionItem", "taskItem"];
+
+// A wiki markup table has a row per line, with || around heading cells and | around the other cells.  Markdown tables
+// have rows of | cells too, so a wiki row only counts as wiki markup when there is no Markdown separator row (|---|).
+const WIKI_TABLE_HEADING_ROW = /^[ \t]*\|\|.*\|\|[ \t]*$/gm;
+const WIKI_TABLE_ROW = /^[ \t]*\|[^|\n].*\|[ \t]*$/gm;
+const MARKDOWN_TABLE_SEPARATOR = /^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)+\|?[ \t]*$/gm;
+
+/**
+ * This function detects which format a description is written in
+ * @param description The description field of an issue, either a string or an ADF document
+ * @returns {string} One of DESCRIPTION_FORMATS
+ */
+function detectDescriptionFormat(description){
+    if(parseADF(description)){
+        return DESCRIPTION_FORMATS.ADF;
+    }
+    if(typeof description !== "string"){
+        return DESCRIPTION_FORMATS.PLAIN;
+    }
+
+    // Wiki markup and Markdown both use *, so look for the markup which only one of them uses
+    const markdownTable = countMatches(description, [MARKDOWN_TABLE_SEPARATOR]) > 0;
+    const wikiScore = countMatches(description, [/^h[1-6]\.\s/gm, /\{(quote|code|noformat|panel|color)[^}]*\}/g, /\[[^\]|\n]+\|[^\]\n]+\]/g, /(^|\s)\*[^*\n]+\*(?=\s|$|:)/gm, /^#\s/gm, WIKI_TABLE_HEADING_ROW]
+        .concat(markdownTable ? [] : [WIKI_TABLE_ROW]));
+    const markdownScore = countMatches(description, [/^#{1,6}\s+\S/gm, /\*\*[^*\n]+\*\*/g, /__[^_\n]+__/g, /\[[^\]\n]+\]\([^)\n]+\)/g, /^```/gm, MARKDOWN_TABLE_SEPARATOR]);
+
+    if(!wikiScore && !markdownScore){
+        return DESCRIPTION_FORMATS.PLAIN;
+    }
+    return markdownScore > wikiScore ? DESCRIPTION_FORMATS.MARKDOWN : DESCRIPTION_FORMATS.WIKI;
+}
+
+/**
+ * This function turns a description in any supported format into the canonical structure
+ * @param description The description field of an issue, either a string or an ADF document
+ * @returns {{format: string, blocks: Array, text: string}} The detected format, the plain text of each block and the
+ *  blocks joined by new lines
+ */
+function normalizeDescription(description){
+    const format = detectDescriptionFormat(description);
+    let blocks;
+
+    switch(format){
+        case DESCRIPTION_FORMATS.ADF:
+            blocks = adfToBlocks(parseADF(description));
+            break;
+        case DESCRIPTION_FORMATS.WIKI:
+            blocks = wikiToBlocks(description);
+            break;
+        case DESCRIPTION_FORMATS.MARKDOWN:
+            blocks = markdownToBlocks(description);
+            break;
+        default:
+            blocks = typeof description === "string" ? description.split(/\r?\n/) : [];
+    }
+
+    blocks = blocks.map(block => decodeEntities(block).replace(/[ \t]+$/, ""));
+    return {format, blocks, text: blocks.join("\n")};
+}
+
+function parseADF(description){
+    let document = description;
+    if(typeof description === "string" && /^\s*\{/.test(description)){
+        try{
+            document = JSON.parse(description);
+        }
+        catch(error){
+            return null;
+        }
+    }
+
+    return document && typeof document === "object" && document.type === "doc" && Array.isArray(document.content) ? document : null;
+}
+
+function adfToBlocks(document){
+    const blocks = [];
+    let currentLine = "";
+
+    const flush = () => {
+        if(currentLine.trim()){
+            blocks.push(currentLine);
+        }
+        currentLine = "";
+    };
+
+    const visit = node => {
+        if(!node || typeof node !== "object"){
+            return;
+        }
+
+        const isBlock = ADF_BLOCK_NODES.includes(node.type);
+        if(isBlock){
+            flush();
+        }
+
+        switch(node.type){
+            case "text":
+                currentLine += node.text || "";
+                break;
+            case "hardBreak":
+                flush();
+                break;
+            case "mention":
+            case "emoji":
+            case "status":
+            case "date":
+                currentLine += (node.attrs && (node.attrs.text || node.attrs.shortName || node.attrs.timestamp)) || "";
+                break;
+            case "inlineCard":
+                currentLine += (node.attrs && node.attrs.url) || "";
+                break;
+            default:
+                (node.content || []).forEach(visit);
+        }
+
+        if(isBlock){
+            flush();
+        }
+    };
+
+    visit(document);
+    flush();
+    return blocks;
+}
+
+function wikiToBlocks(description){
+    const blocks = [];
+
+    description
+        .replace(/\{(quote|code|noformat|panel)[^}]*\}/g, "")
+        .replace(/\{color[^}]*\}/g, "")
+        .split(/\r?\n|\\\\/)
+        .forEach(line => {
+            // Links are replaced by their text first, since the | between the text and the address is not a cell border
+            const text = line.replace(/\[([^\]|\n]+)\|[^\]\n]+\]/g, "$1");
+
+            // Each cell of a table row is a block of its own, so a heading and its answer in the next cell are on separate lines
+            const cells = /^\s*\|/.test(text) ? text.trim().replace(/^\|\|?|\|\|?$/g, "").split(/\|\|?/).map(cell => cell.trim()) : [text];
+            cells.forEach(cell => blocks.push(cell
+                .replace(/^h[1-6]\.\s*/, "")
+                .replace(/^\s*[*#-]+\s+/, "")
+                .replace(/(^|[\s(])[*_+]([^*_+\n]+?)[*_+](?=$|[\s).,:;!?])/g, "$1$2")
+                .replace(/(^|[\s(])[*_+]([^*_+\n]+?)[*_+](?=$|[\s).,:;!?])/g, "$1$2")));
+        });
+
+    return blocks;
+}
+
+function markdownToBlocks(description){
+    return description
+        .replace(/^```.*$/gm, "")
+        .split(/\r?\n/)
+        .map(line => line
+            .replace(/^\s{0,3}#{1,6}\s+/, "")
+            .replace(/^\s{0,3}>\s?/, "")
+            .replace(/^\s*(?:[-*+]|\d+\.)\s+/, "")
+            .replace(/\[([^\]\n]+)\]\([^)\n]+\)/g, "$1")
+            .replace(/(\*\*|__)(.+?)\1/g, "$2")
+            .replace(/(^|[\s(])[*_]([^*_\n]+?)[*_](?=$|[\s).,:;!?])/g, "$1$2")
+            .replace(/\\([\\`*_{}\[\]()#+\-.!<>])/g, "$1"));
+}
+
+function decodeEntities(text){
+    return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&#39;/g, "'").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&");
+}
+
+function countMatches(text, patterns){
+    return patterns.reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+}
+
+module.exports = {
+    DESCRIPTION_FORMATS,
+    detectDescriptionFormat,
+    normalizeDescription
+};
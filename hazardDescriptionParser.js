@@ -0,0 +1,226 @@
+/**
+ * This module parses the description of a Hazard Analysis sub-task against a question schema (see hazardQuestionSchema.js)
+ * and extracts the answer given for each question.
+ */
+
+const hazardDescriptionFormats = require("./hazardDescriptionFormats.js");
+const hazardAuditMessages = require("./hazardAuditMessages.js");
+
+// A heading starts a line or a cell of a wiki table row, such as "|*Financial:*|No|", after any list or bold markup
+const HEADING_START = "(?:^|\\|)[\\s*_#|-]*";
+
+const QUESTION_STATUS = Object.freeze({
+    ANSWERED: "answered",
+    UNANSWERED: "unanswered",
+    INVALID: "invalid",
+    MISSING: "missing"
+});
+
+/**
+ * This function parses a Hazard Analysis description and reports every question in the schema as answered, unanswered or missing.
+ * Headings are found independently of their order and tolerate the variations allowed by the headingMatching settings
+ * of the schema; a heading found with a typo, without its colon or out of the template order adds a warning to its result.
+ * @param description The description of the Hazard Analysis sub-task as wiki markup, Markdown or an ADF document
+ * @param schema The loaded question schema to parse the description against
+ * @returns {Array} One result per question in schema order, containing the question id, heading, required flag, status,
+ *  extracted answer, the reason the question is not answered (null when it is), the heading text actually found and any
+ *  warnings.  The reason and warnings are in the default locale, and are kept as the catalog messages {messageId, params}
+ *  on reasonMessage and warningMessages for the audit comments to render in their own locale.
+ */
+function parseHazardDescription(description, schema){
+    // Wiki markup, Markdown and ADF descriptions are all normalized to plain text first so the same headings match in each
+    const descriptionBody = hazardDescriptionFormats.normalizeDescription(description).text;
+
+    // Locate every heading of the form first, so each section runs from its own heading up to whichever heading or
+    // terminator comes next in the description regardless of the order the questions are declared in
+    const headingMatches = schema.questions.map(question => ({question, match: findHeading(descriptionBody, question, schema.headingMatching)}));
+    const boundaries = headingMatches.filter(heading => heading.match.index >= 0).map(heading => heading.match.index)
+        .concat(findTerminators(descriptionBody, schema.terminators));
+
+    const results = headingMatches.map(({question, match}) => {
+        const result = {
+            id: question.id,
+            heading: question.heading,
+            required: question.required,
+            status: QUESTION_STATUS.MISSING,
+            answer: null,
+            reason: null,
+            reasonMessage: null,
+            matchedHeading: null,
+            warnings: [],
+            warningMessages: []
+        };
+
+        if(match.index < 0){
+            return match.closest ? setReason(result, "question.headingMissingClosest", {heading: question.heading, closest: match.closest}) :
+                setReason(result, "question.headingMissing", {heading: question.heading});
+        }
+
+        result.matchedHeading = match.text;
+        if(match.typo){
+            addWarning(result, "question.headingMisspelled", {heading: question.heading, matchedHeading: match.text});
+        }
+        if(match.missingColon){
+            addWarning(result, "question.headingMissingColon", {heading: question.heading});
+        }
+
+        const answerStart = match.index + match.length;
+        const answerEnd = boundaries.filter(boundary => boundary >= answerStart).reduce((end, boundary) => Math.min(end, boundary), descriptionBody.length);
+
+        // Strip away the template placeholders and any wiki markup left around the answer so only the typed answer remains
+        result.answer = stripPlaceholders(descriptionBody.substring(answerStart, answerEnd), question.placeholders)
+            .replace(/^[\s*_|]+|[\s*_|]+$/g, "");
+        if(/\S/.test(result.answer)){
+            result.status = QUESTION_STATUS.ANSWERED;
+        }
+        else{
+            result.status = QUESTION_STATUS.UNANSWERED;
+            setReason(result, "question.unanswered", {});
+        }
+
+        return result;
+    });
+
+    // Sections which were moved around are still parsed, so reordering is only worth a warning
+    if(schema.headingMatching.warnOnReorder){
+        let previous = null;
+        headingMatches.forEach(({question, match}, index) => {
+            if(match.index < 0){
+                return;
+            }
+            if(previous && match.index < previous.match.index){
+                addWarning(results[index], "question.outOfOrder", {heading: question.heading, previousHeading: previous.question.heading});
+            }
+            else{
+                previous = {question, match};
+            }
+        });
+    }
+
+    return results;
+}
+
+/**
+ * This function finds the first occurrence of a question heading at the start of a line or of a wiki table cell, or of
+ * one of its aliases when the heading itself is not found.  A heading followed by a colon is also found after other text on its line, as in a form written on a
+ * single line, but only when it does not start a line anywhere in the description.  Whitespace around a "/" and between
+ * words is ignored, so "Legal / Regulatory" and "Cyber Security" match.  When the heading cannot be found followed by a
+ * colon it is looked for without one, unless headingMatching.requireColon is set, and then as a typo within
+ * headingMatching.maxTypoDistance edits of a heading followed by a colon.
+ * @param descriptionBody The description to search
+ * @param question The question whose heading should be found
+ * @param headingMatching The headingMatching settings of the schema
+ * @returns {Object} The index, length and text of the heading found and whether it was a typo or missing its colon.
+ *  The index is -1 when the heading is not found, along with the closest heading-like text found, if any.
+ */
+function findHeading(descriptionBody, question, headingMatching){
+    const headings = [question.heading, ...question.aliases];
+    const earliestMatch = (candidates, pattern) => candidates
+        .map(heading => new RegExp(pattern(headingPattern(heading)), "im").exec(descriptionBody))
+        .filter(match => match)
+        .reduce((first, match) => (!first || match.index < first.index ? match : first), null);
+    // The heading itself is always preferred, so an alias only stands in for a heading which is not in the description
+    const firstMatch = pattern => earliestMatch([question.heading], pattern) || earliestMatch(question.aliases, pattern);
+
+    // Headings are anchored to the start of a line or table cell, like the terminators, so a heading named inside
+    // another answer, as in "No, unrelated to Patient Safety: none", does not start a section when the real one exists
+    let match = firstMatch(heading => `${HEADING_START}${heading}\\s*:\\*?`) || firstMatch(heading => `(?<=\\s)[*_]*${heading}\\s*:\\*?`);
+    if(match){
+        return {index: match.index, length: match[0].length, text: match[0].replace(/^[\s*_#|-]+/, ""), typo: false, missingColon: false};
+    }
+
+    if(!headingMatching.requireColon){
+        // A dash is a common stand-in for the colon, as in "Patient Safety - No"
+        match = firstMatch(heading => `${HEADING_START}${heading}(?:\\s*[-\u2013]\\s|(?=[\\s*_|]|$))`);
+        if(match){
+            return {index: match.index, length: match[0].length, text: match[0].trim(), typo: false, missingColon: true};
+        }
+    }
+
+    // Compare the text before the colon of every line with the heading, ignoring case, whitespace and punctuation
+    const compactHeadings = headings.map(compact);
+    let closest = null;
+    let lineStart = 0;
+    descriptionBody.split("\n").forEach(line => {
+        const candidate = /^([\s*_#|-]*)([^:|]+):\*?/.exec(line);
+        if(candidate){
+            const distance = Math.min(...compactHeadings.map(heading => editDistance(compact(candidate[2]), heading)));
+            if(!closest || distance < closest.distance){
+                closest = {index: lineStart + candidate[1].length, length: candidate[0].length - candidate[1].length, text: candidate[0].substring(candidate[1].length).trim(), distance};
+            }
+        }
+        lineStart += line.length + 1;
+    });
+
+    if(closest && closest.distance <= headingMatching.maxTypoDistance && closest.distance < Math.min(...compactHeadings.map(heading => heading.length)) / 3){
+        return {index: closest.index, length: closest.length, text: closest.text, typo: true, missingColon: false};
+    }
+
+    // A line only close enough to be a mangled version of the heading is pointed out in the failure
+    const nearMiss = closest && closest.distance <= Math.max(...compactHeadings.map(heading => heading.length)) / 2 ? closest.text : null;
+    return {index: -1, length: 0, text: null, typo: false, missingColon: false, closest: nearMiss};
+}
+
+/**
+ * This function finds the position of each terminator, such as the engineer sign-off at the bottom of the template,
+ * which marks the end of the last question's answer.
+ * @param descriptionBody The description to search
+ * @param terminators The terminator headings from the schema
+ * @returns {Array} The indexes at which a terminator line begins
+ */
+function findTerminators(descriptionBody, terminators){
+    return terminators
+        .map(terminator => new RegExp(`^[\\s*_]*${escapeRegExp(terminator)}`, "im").exec(descriptionBody))
+        .filter(match => match)
+        .map(match => match.index);
+}
+
+// Builds the pattern for a heading which ignores whitespace around a "/" and between the words of the heading, including
+// the boundaries of a camel cased word such as "CyberSecurity"
+function headingPattern(heading){
+    return heading.trim()
+        .split(/\s*\/\s*/)
+        .map(part => part.replace(/([a-z])(?=[A-Z])/g, "$1 ").split(/\s+/).map(escapeRegExp).join("\\s*"))
+        .join("\\s*\\/\\s*");
+}
+
+function compact(text){
+    return text.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b){
+    let previousRow = Array.from({length: b.length + 1}, (value, index) => index);
+
+    for(let i = 1; i <= a.length; i++){
+        const currentRow = [i];
+        for(let j = 1; j <= b.length; j++){
+            currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previousRow = currentRow;
+    }
+
+    return previousRow[b.length];
+}
+
+function stripPlaceholders(answer, placeholders){
+    return placeholders.reduce((text, placeholder) => text.replace(new RegExp(escapeRegExp(placeholder), "gi"), ""), answer);
+}
+
+function escapeRegExp(text){
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+}
+
+function setReason(result, messageId, params){
+    return Object.assign(result, {reason: hazardAuditMessages.formatMessage(messageId, params), reasonMessage: {messageId, params}});
+}
+
+function addWarning(result, messageId, params){
+    result.warnings.push(hazardAuditMessages.formatMessage(messageId, params));
+    result.warningMessages.push({messageId, params});
+}
+
+module.exports = {
+    QUESTION_STATUS,
+    parseHazardDescription
+};
@@ -0,0 +1,90 @@
+/**
+ * This module reads the history of an issue from its changelog for the Hazard Analysis audits.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+
+/**
+ * This function finds the most recent change to a field of an issue from the issue changelog
+ * @param issue The issue whose changelog is searched
+ * @param fieldName The name of the field, such as "description"
+ * @param lookups The Jira lookups of the audit run the changelog is read through, see hazardJiraLookups.js.  Without
+ *  them the changelog is read directly
+ * @returns {Promise<{created: Date, author: string}>} When and by whom the field was last changed, or null if it never was
+ */
+async function getLastFieldChange(issue, fieldName, lookups = null){
+    return (await readChangelog(issue, lookups))
+        .filter(history => history.items.some(item => item.field === fieldName))
+        .map(history => ({created: new Date(history.created), author: history.author ? history.author.displayName || history.author.name : "unknown"}))
+        .reduce((latest, change) => (!latest || change.created > latest.created ? change : latest), null);
+}
+
+/**
+ * This function lists every change to a field of an issue from the issue changelog, oldest first
+ * @param issue The issue whose changelog is searched
+ * @param fieldName The name of the field, such as "description"
+ * @returns {Promise<Array>} One entry per change with when (created, a Date) and by whom (author and authorName) it was
+ *  changed and the value before (fromString) and after (toString) the change
+ * @param lookups The Jira lookups of the audit run the changelog is read through.  Without them the changelog is read directly
+ */
+async function getFieldChanges(issue, fieldName, lookups = null){
+    const changes = [];
+
+    (await readChangelog(issue, lookups)).forEach(history => {
+        history.items.filter(item => item.field === fieldName).forEach(item => changes.push({
+            created: new Date(history.created),
+            author: history.author ? history.author.displayName || history.author.name : "unknown",
+            authorName: history.author ? history.author.name : null,
+            fromString: item.fromString || "",
+            toString: item.toString || ""
+        }));
+    });
+
+    return changes.sort((a, b) => a.created - b.created);
+}
+
+/**
+ * This function returns the changelog histories of an issue.  The changelog is used when the issue was fetched with it
+ * expanded, else it is requested from Jira.
+ * @param issue The issue whose changelog is needed
+ * @returns {Promise<Array>} The changelog histories of the issue
+ */
+async function getChangelogHistories(issue){
+    if(issue.changelog && Array.isArray(issue.changelog.histories)){
+        return issue.changelog.histories;
+    }
+
+    return (await dependencies.jiraHelpers.getIssueChangelog(issue)) || [];
+}
+
+function readChangelog(issue, lookups){
+    return lookups ? lookups.getChangelogHistories(issue) : getChangelogHistories(issue);
+}
+
+/**
+ * This function finds when, and by whom, a label was most recently added to an issue
+ * @param issue The issue whose changelog is searched
+ * @param label The label to look for
+ * @param lookups The Jira lookups of the audit run the changelog is read through.  Without them the changelog is read directly
+ * @returns {Promise<{created: Date, author: string, authorName: string}>} The addition of the label, or null if the
+ *  changelog does not record it being added
+ */
+async function findLabelAddition(issue, label, lookups = null){
+    const includesLabel = labels => (labels || "").split(/\s+/).includes(label);
+
+    return (await readChangelog(issue, lookups))
+        .filter(history => history.items.some(item => item.field === "labels" && includesLabel(item.toString) && !includesLabel(item.fromString)))
+        .map(history => ({
+            created: new Date(history.created),
+            author: history.author ? history.author.displayName || history.author.name : "unknown",
+            authorName: history.author ? history.author.name : null
+        }))
+        .reduce((latest, addition) => (!latest || addition.created > latest.created ? addition : latest), null);
+}
+
+module.exports = {
+    getChangelogHistories,
+    getLastFieldChange,
+    getFieldChanges,
+    findLabelAddition
+};
@@ -0,0 +1,38 @@
+/**
+ * This module caches the Jira reads made while auditing one issue, so an issue changelog or the members of a group are
+ * requested once per run however many audits need them.  runHazardAnalysisAudits creates the lookups for each run; an
+ * audit called on its own creates its own.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+const hazardIssueHistory = require("./hazardIssueHistory.js");
+
+/**
+ * This function creates the lookups of one audit run
+ * @returns {Object} The lookups, with getChangelogHistories(issue) and getGroupMembers(groupName), each returning a
+ *  promise which is shared by every call for the same issue key or group name
+ */
+function createJiraLookups(){
+    const changelogs = new Map();
+    const groups = new Map();
+
+    return {
+        getChangelogHistories: issue => lookUp(changelogs, issue.key, () => hazardIssueHistory.getChangelogHistories(issue)),
+        getGroupMembers: groupName => lookUp(groups, groupName, () => dependencies.jiraHelpers.getGroupMembers(groupName))
+    };
+}
+
+// A failed read is not kept, so a later audit of the run asks Jira again
+function lookUp(cache, key, read){
+    if(!cache.has(key)){
+        cache.set(key, read().catch(error => {
+            cache.delete(key);
+            throw error;
+        }));
+    }
+    return cache.get(key);
+}
+
+module.exports = {
+    createJiraLookups
+};
@@ -0,0 +1,105 @@
+/**
+ * This module implements the Jira calls the Hazard Analysis audits make beyond the jira2Helpers functions of the larger
+ * auditing program: reading group members, changelogs and search results, changing labels and creating sub-tasks.  Each
+ * one is a call to the Jira REST API (version 2) made through the jiraRequest collaborator of hazardAuditDependencies.js,
+ * and is only used when jira2Helpers does not provide a function of the same name.
+ *
+ * The jiraRequest collaborator is the larger auditing program's authenticated request function, given with
+ * setDependencies.  It takes the method, the path (with any query string) and an optional JSON body, and returns a
+ * promise of the parsed response.  A response other than 2xx must reject with an error carrying its statusCode and
+ * headers, so a rate limited request (HTTP 429) can be retried.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+
+const GROUP_MEMBER_PAGE_SIZE = 50;
+
+/**
+ * This function reads every member of a Jira group
+ * @param groupName The name of the group
+ * @returns {Promise<Array>} The members, each with name and displayName
+ */
+async function getGroupMembers(groupName){
+    const members = [];
+    let page;
+    do{
+        page = await dependencies.jiraRequest("GET", `/rest/api/2/group/member?groupname=${encodeURIComponent(groupName)}&includeInactiveUsers=false&startAt=${members.length}&maxResults=${GROUP_MEMBER_PAGE_SIZE}`);
+        members.push(...page.values.map(member => ({name: member.name, displayName: member.displayName})));
+    } while(!page.isLast && page.values.length);
+
+    return members;
+}
+
+/**
+ * This function reads the changelog of an issue
+ * @param issue The issue
+ * @returns {Promise<Array>} The changelog histories, each with created, author and items
+ */
+async function getIssueChangelog(issue){
+    const response = await dependencies.jiraRequest("GET", `/rest/api/2/issue/${encodeURIComponent(issue.key)}?fields=summary&expand=changelog`);
+    return response.changelog ? response.changelog.histories : [];
+}
+
+/**
+ * This function reads one page of the issues matching a JQL query
+ * @param jql The JQL query
+ * @param fields The fields to return for each issue
+ * @param startAt The index of the first issue of the page
+ * @param maxResults The size of the page
+ * @returns {Promise<Object>} The page, with startAt, maxResults, total and issues
+ */
+function searchIssues(jql, fields, startAt, maxResults){
+    return dependencies.jiraRequest("POST", "/rest/api/2/search", {jql, fields, startAt, maxResults});
+}
+
+/**
+ * This function adds labels to an issue, and to the issue object passed in so later audits see them
+ * @param issue The issue
+ * @param labels The labels to add
+ * @returns {Promise<void>}
+ */
+async function addIssueLabels(issue, labels){
+    await dependencies.jiraRequest("PUT", `/rest/api/2/issue/${encodeURIComponent(issue.key)}`, {update: {labels: labels.map(label => ({add: label}))}});
+    issue.fields.labels = Array.from(new Set((issue.fields.labels || []).concat(labels)));
+}
+
+/**
+ * This function removes labels from an issue, and from the issue object passed in so later audits see them removed
+ * @param issue The issue
+ * @param labels The labels to remove
+ * @returns {Promise<void>}
+ */
+async function removeIssueLabels(issue, labels){
+    await dependencies.jiraRequest("PUT", `/rest/api/2/issue/${encodeURIComponent(issue.key)}`, {update: {labels: labels.map(label => ({remove: label}))}});
+    issue.fields.labels = (issue.fields.labels || []).filter(label => !labels.includes(label));
+}
+
+/**
+ * This function creates a sub-task of an issue
+ * @param parentIssue The parent issue
+ * @param summary The summary of the sub-task
+ * @param description The description of the sub-task
+ * @returns {Promise<Object>} The created sub-task with the DEFAULT_SUBTASK_FIELDS populated
+ */
+async function createSubTask(parentIssue, summary, description){
+    const created = await dependencies.jiraRequest("POST", "/rest/api/2/issue", {
+        fields: {
+            project: {key: parentIssue.key.split("-")[0]},
+            parent: {key: parentIssue.key},
+            issuetype: {name: "Sub-task"},
+            summary,
+            description
+        }
+    });
+
+    return dependencies.jiraRequest("GET", `/rest/api/2/issue/${encodeURIComponent(created.key)}?fields=${dependencies.jira2Fields.DEFAULT_SUBTASK_FIELDS.join(",")}`);
+}
+
+module.exports = {
+    getGroupMembers,
+    getIssueChangelog,
+    searchIssues,
+    addIssueLabels,
+    removeIssueLabels,
+    createSubTask
+};
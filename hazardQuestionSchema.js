@@ -0,0 +1,218 @@
+/**
+ * This module loads and validates the declarative schema describing the questions of the Hazard Analysis form.  The
+ * schema is validated when it is loaded so a malformed question definition fails at start up instead of in the middle
+ * of an audit run.
+ */
+
+/**
+ * This function validates a raw question schema and returns a normalized copy with the questions sorted by their order.
+ * @param rawSchema The schema object, typically parsed from a JSON file such as hazardAnalysisQuestions.json
+ * @param schemaName A name for the schema which is used in any validation error messages
+ * @returns {Object} The normalized schema with a sorted, frozen list of questions
+ */
+function loadQuestionSchema(rawSchema, schemaName = "Hazard Analysis question schema"){
+    const errors = [];
+
+    if(!rawSchema || typeof rawSchema !== "object"){
+        throw new Error(`${schemaName} must be an object`);
+    }
+    if(!Array.isArray(rawSchema.questions) || !rawSchema.questions.length){
+        throw new Error(`${schemaName} must contain a non-empty "questions" array`);
+    }
+
+    if(!isNonEmptyString(rawSchema.version)){
+        errors.push(`"version" must be a non-empty string identifying this revision of the rules`);
+    }
+
+    const terminators = rawSchema.terminators || [];
+    if(!isStringArray(terminators)){
+        errors.push(`"terminators" must be an array of non-empty strings`);
+    }
+
+    const linkedSubTasks = Object.assign({maxDepth: 1}, rawSchema.linkedSubTasks);
+    if(!Number.isInteger(linkedSubTasks.maxDepth) || linkedSubTasks.maxDepth < 1){
+        errors.push(`"linkedSubTasks.maxDepth" must be a positive integer`);
+    }
+
+    const answerRules = Object.assign({minimumExplanationLength: 0, fillerPhrases: []}, rawSchema.answerRules);
+    if(!Number.isInteger(answerRules.minimumExplanationLength) || answerRules.minimumExplanationLength < 0){
+        errors.push(`"answerRules.minimumExplanationLength" must be a non-negative integer`);
+    }
+    if(!isStringArray(answerRules.fillerPhrases)){
+        errors.push(`"answerRules.fillerPhrases" must be an array of non-empty strings`);
+    }
+
+    const headingMatching = Object.assign({maxTypoDistance: 0, requireColon: true, warnOnReorder: false}, rawSchema.headingMatching);
+    if(!Number.isInteger(headingMatching.maxTypoDistance) || headingMatching.maxTypoDistance < 0){
+        errors.push(`"headingMatching.maxTypoDistance" must be a non-negative integer`);
+    }
+    ["requireColon", "warnOnReorder"].forEach(key => {
+        if(typeof headingMatching[key] !== "boolean"){
+            errors.push(`"headingMatching.${key}" must be a boolean`);
+        }
+    });
+
+    const riskEscalation = Object.assign({riskLinkTypes: [], evidenceLabels: [], safetyReviewerGroup: null, parentFlagLabel: null}, rawSchema.riskEscalation);
+    ["riskLinkTypes", "evidenceLabels"].forEach(key => {
+        if(!isStringArray(riskEscalation[key])){
+            errors.push(`"riskEscalation.${key}" must be an array of non-empty strings`);
+        }
+    });
+    ["safetyReviewerGroup", "parentFlagLabel"].forEach(key => {
+        if(riskEscalation[key] !== null && !isNonEmptyString(riskEscalation[key])){
+            errors.push(`"riskEscalation.${key}" must be a non-empty string or null`);
+        }
+    });
+
+    const signOff = Object.assign({minimumApprovers: 1, approvers: [], approverGroup: null, invalidateOnDescriptionChange: false, retractionPatterns: []}, rawSchema.signOff);
+    if(!Number.isInteger(signOff.minimumApprovers) || signOff.minimumApprovers < 1){
+        errors.push(`"signOff.minimumApprovers" must be a positive integer`);
+    }
+    if(!isStringArray(signOff.approvers)){
+        errors.push(`"signOff.approvers" must be an array of non-empty strings`);
+    }
+    if(signOff.approverGroup !== null && !isNonEmptyString(signOff.approverGroup)){
+        errors.push(`"signOff.approverGroup" must be a non-empty string or null`);
+    }
+    if(typeof signOff.invalidateOnDescriptionChange !== "boolean"){
+        errors.push(`"signOff.invalidateOnDescriptionChange" must be a boolean`);
+    }
+    if(!isStringArray(signOff.retractionPatterns) || !signOff.retractionPatterns.every(isValidRegExp)){
+        errors.push(`"signOff.retractionPatterns" must be an array of valid regular expressions`);
+    }
+
+    const seenIds = new Set();
+    const seenOrders = new Set();
+    const seenHeadings = new Map();
+
+    const questions = rawSchema.questions.map((rawQuestion, index) => {
+        const label = rawQuestion && rawQuestion.id ? `question "${rawQuestion.id}"` : `question at index ${index}`;
+
+        if(!rawQuestion || typeof rawQuestion !== "object"){
+            errors.push(`${label} must be an object`);
+            return null;
+        }
+
+        // Each question must be uniquely identifiable since the audit details are keyed off of the id
+        if(!isNonEmptyString(rawQuestion.id)){
+            errors.push(`${label} must have a non-empty string "id"`);
+        }
+        else if(seenIds.has(rawQuestion.id)){
+            errors.push(`${label} has a duplicate id`);
+        }
+        seenIds.add(rawQuestion.id);
+
+        if(!isNonEmptyString(rawQuestion.heading)){
+            errors.push(`${label} must have a non-empty string "heading"`);
+        }
+
+        const aliases = rawQuestion.aliases || [];
+        if(!isStringArray(aliases)){
+            errors.push(`${label} "aliases" must be an array of non-empty strings`);
+        }
+
+        // A heading or alias may only belong to one question, otherwise the parser cannot tell the sections apart
+        [rawQuestion.heading, ...(Array.isArray(aliases) ? aliases : [])].filter(isNonEmptyString).forEach(heading => {
+            const key = heading.toLowerCase();
+            if(seenHeadings.has(key) && seenHeadings.get(key) !== rawQuestion.id){
+                errors.push(`${label} heading "${heading}" is already used by question "${seenHeadings.get(key)}"`);
+            }
+            seenHeadings.set(key, rawQuestion.id);
+        });
+
+        if(!Number.isInteger(rawQuestion.order)){
+            errors.push(`${label} must have an integer "order"`);
+        }
+        else if(seenOrders.has(rawQuestion.order)){
+            errors.push(`${label} has a duplicate order of ${rawQuestion.order}`);
+        }
+        seenOrders.add(rawQuestion.order);
+
+        const placeholders = typeof rawQuestion.placeholder === "string" ? [rawQuestion.placeholder] : rawQuestion.placeholder || [];
+        if(!isStringArray(placeholders)){
+            errors.push(`${label} "placeholder" must be a string or an array of non-empty strings`);
+        }
+
+        if(rawQuestion.required !== undefined && typeof rawQuestion.required !== "boolean"){
+            errors.push(`${label} "required" must be a boolean`);
+        }
+
+        if(rawQuestion.highRisk !== undefined && typeof rawQuestion.highRisk !== "boolean"){
+            errors.push(`${label} "highRisk" must be a boolean`);
+        }
+
+        if(rawQuestion.minimumExplanationLength !== undefined && !(Number.isInteger(rawQuestion.minimumExplanationLength) && rawQuestion.minimumExplanationLength >= 0)){
+            errors.push(`${label} "minimumExplanationLength" must be a non-negative integer`);
+        }
+
+        return Object.freeze({
+            id: rawQuestion.id,
+            heading: rawQuestion.heading,
+            aliases: Object.freeze(Array.isArray(aliases) ? aliases.slice() : []),
+            order: rawQuestion.order,
+            placeholders: Object.freeze(Array.isArray(placeholders) ? placeholders.slice() : []),
+            required: rawQuestion.required !== false,
+            highRisk: rawQuestion.highRisk === true,
+            minimumExplanationLength: rawQuestion.minimumExplanationLength
+        });
+    });
+
+    if(errors.length){
+        throw new Error(`${schemaName} is invalid:\n - ${errors.join("\n - ")}`);
+    }
+
+    return Object.freeze({
+        version: rawSchema.version,
+        terminators: Object.freeze(terminators.slice()),
+        linkedSubTasks: Object.freeze({maxDepth: linkedSubTasks.maxDepth}),
+        answerRules: Object.freeze({
+            minimumExplanationLength: answerRules.minimumExplanationLength,
+            fillerPhrases: Object.freeze(answerRules.fillerPhrases.slice())
+        }),
+        headingMatching: Object.freeze({
+            maxTypoDistance: headingMatching.maxTypoDistance,
+            requireColon: headingMatching.requireColon,
+            warnOnReorder: headingMatching.warnOnReorder
+        }),
+        signOff: Object.freeze({
+            minimumApprovers: signOff.minimumApprovers,
+            approvers: Object.freeze(signOff.approvers.slice()),
+            approverGroup: signOff.approverGroup,
+            invalidateOnDescriptionChange: signOff.invalidateOnDescriptionChange,
+            retractionPatterns: Object.freeze(signOff.retractionPatterns.map(pattern => new RegExp(pattern, "i")))
+        }),
+        riskEscalation: Object.freeze({
+            riskLinkTypes: Object.freeze(riskEscalation.riskLinkTypes.slice()),
+            evidenceLabels: Object.freeze(riskEscalation.evidenceLabels.slice()),
+            safetyReviewerGroup: riskEscalation.safetyReviewerGroup,
+            parentFlagLabel: riskEscalation.parentFlagLabel
+        }),
+        questions: Object.freeze(questions.sort((a, b) => a.order - b.order))
+    });
+}
+
+function isNonEmptyString(value){
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+function isStringArray(value){
+    return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+function isValidRegExp(pattern){
+    try{
+        new RegExp(pattern);
+        return true;
+    }
+    catch(error){
+        return false;
+    }
+}
+
+// The default schema is validated as soon as this module is required
+const DEFAULT_QUESTION_SCHEMA = loadQuestionSchema(require("./hazardAnalysisQuestions.json"), "hazardAnalysisQuestions.json");
+
+module.exports = {
+    loadQuestionSchema,
+    DEFAULT_QUESTION_SCHEMA
+};
@@ -0,0 +1,92 @@
+/**
+ * This module retries the Jira requests of the Hazard Analysis audits while Jira responds that its rate limit has been
+ * reached (HTTP 429).  Each request is retried on its own, with an exponential back off or the delay Jira asks for in its
+ * Retry-After header, so an audit never has to be run again from the start after a rate limited request.
+ */
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxRetries: 5,
+    retryDelayMs: 1000
+});
+
+/**
+ * This function makes a request and retries it while Jira responds that the rate limit has been reached
+ * @param request A function which makes the request and returns a promise
+ * @param retryPolicy The maxRetries and the retryDelayMs before the first retry, doubled for every retry after
+ * @returns {Promise<any>} The result of the request
+ */
+async function withRateLimitRetry(request, retryPolicy = DEFAULT_RETRY_POLICY){
+    for(let attempt = 0; ; attempt++){
+        try{
+            return await request();
+        }
+        catch(error){
+            if(!isRateLimitError(error) || attempt >= retryPolicy.maxRetries){
+                throw error;
+            }
+
+            await sleep(getRetryAfterMs(error) || retryPolicy.retryDelayMs * Math.pow(2, attempt));
+        }
+    }
+}
+
+/**
+ * This function wraps every function of a Jira helpers object so a call which returns a promise is retried while Jira
+ * responds that the rate limit has been reached.  Functions which return a value directly are called as they are.
+ * @param jiraHelpers The Jira helpers object to wrap
+ * @param getRetryPolicy A function returning the retry policy to apply to a call
+ * @param isExcluded A function telling whether a helper function is already retried, per request, on its own
+ * @returns {Object} The wrapped Jira helpers
+ */
+function retryJiraHelpers(jiraHelpers, getRetryPolicy, isExcluded = () => false){
+    const wrapped = new WeakMap();
+
+    return new Proxy(jiraHelpers, {
+        get: (target, name) => {
+            const helper = target[name];
+            if(typeof helper !== "function" || isExcluded(helper)){
+                return helper;
+            }
+
+            if(!wrapped.has(helper)){
+                wrapped.set(helper, (...args) => {
+                    const result = helper.apply(target, args);
+                    if(!result || typeof result.then !== "function"){
+                        return result;
+                    }
+
+                    // The first attempt is already under way, so only the retries call the helper again
+                    let firstAttempt = result;
+                    return withRateLimitRetry(() => {
+                        const attempt = firstAttempt || helper.apply(target, args);
+                        firstAttempt = null;
+                        return attempt;
+                    }, getRetryPolicy());
+                });
+            }
+            return wrapped.get(helper);
+        }
+    });
+}
+
+function isRateLimitError(error){
+    const status = error && (error.statusCode || error.status || (error.response && (error.response.statusCode || error.response.status)));
+    return status === 429;
+}
+
+function getRetryAfterMs(error){
+    const headers = (error.response && error.response.headers) || error.headers || {};
+    const retryAfter = Number(headers["retry-after"] || headers["Retry-After"]);
+    return retryAfter > 0 ? retryAfter * 1000 : null;
+}
+
+function sleep(ms){
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    withRateLimitRetry,
+    retryJiraHelpers,
+    isRateLimitError
+};
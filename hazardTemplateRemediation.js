@@ -0,0 +1,54 @@
+/**
+ * This module builds the canonical Hazard Analysis template description from a question schema (see
+ * hazardQuestionSchema.js) and repairs mangled descriptions by merging the answers recovered from them back into the
+ * template.  It is used by the opt-in remediation of the Hazard Analysis audits.
+ */
+
+const dependencies = require("./hazardAuditDependencies.js").dependencies;
+const QUESTION_STATUS = require("./hazardDescriptionParser.js").QUESTION_STATUS;
+
+/**
+ * This function builds the Hazard Analysis template description as wiki markup, optionally with answers filled in
+ * @param questionSchema The loaded question schema the template is built from
+ * @param answers An optional object mapping a question id to the answer to put after its placeholder
+ * @returns {string} The template description with one line per question followed by the terminators
+ */
+function buildTemplateDescription(questionSchema, answers = {}){
+    const lines = [`h3. ${dependencies.auditHelpers.SUBTASK_NAMES.HAZARD_ANALYSIS}`];
+
+    questionSchema.questions.forEach(question => {
+        const answer = answers[question.id] ? ` ${answers[question.id]}` : "";
+        lines.push(`*${question.heading}:* ${question.placeholders[0] || ""}${answer}`);
+    });
+    questionSchema.terminators.forEach(terminator => lines.push(`*${terminator}:* `));
+
+    return lines.join("\n");
+}
+
+/**
+ * This function proposes a repaired description for a Hazard Analysis whose description no longer matches the template.
+ * Every answer which could still be found in the description is merged back into the canonical template.
+ * @param questionResults The question results of the "Hazard Analysis Completed" audit for the description
+ * @param questionSchema The loaded question schema the template is built from
+ * @returns {{description: string, recoveredQuestions: Array}} The proposed description and the ids of the questions
+ *  whose answers were recovered
+ */
+function proposeRepairedDescription(questionResults, questionSchema){
+    const answers = {};
+
+    questionResults.filter(result => result.status !== QUESTION_STATUS.MISSING && result.answer)
+        .forEach(result => {
+            // The template is one line per question so an answer spread over several lines is joined into one
+            answers[result.id] = result.answer.split(/\s*\n\s*/).join(" ");
+        });
+
+    return {
+        description: buildTemplateDescription(questionSchema, answers),
+        recoveredQuestions: Object.keys(answers)
+    };
+}
+
+module.exports = {
+    buildTemplateDescription,
+    proposeRepairedDescription
+};
@@ -0,0 +1,183 @@
+/**
+ * This module is an in-memory stand-in for Jira and the rest of the auditing program so the Hazard Analysis audits can
+ * run offline.  It serves issue JSON fixtures (see fixtures/hazardAnalysisIssues.json) and records every comment, label
+ * change and sub-task the audits make instead of sending them to Jira.
+ */
+
+const hazardAuditDependencies = require("./hazardAuditDependencies.js");
+
+const HAZARD_ANALYSIS = "Hazard Analysis";
+const NO_WORK_NEEDED_RESOLUTIONS = ["No Work Needed", "Won't Do", "Duplicate"];
+const CLOSED_STATUSES = ["Closed", "Resolved", "Done"];
+
+/**
+ * This is a minimal AuditDetails with the same shape the Hazard Analysis audits rely on
+ */
+class InMemoryAuditDetails {
+    constructor(auditName, issue){
+        this.auditName = auditName;
+        this.issue = issue;
+        this.issueKey = issue && issue.key;
+        this.auditPassing = true;
+        this.auditDetails = "";
+        this.auditResults = [];
+    }
+
+    addAuditResults(auditResults){
+        [].concat(auditResults).forEach(auditResult => {
+            this.auditResults.push(auditResult);
+            if(!auditResult.auditPassing){
+                this.auditPassing = false;
+            }
+        });
+    }
+}
+
+/**
+ * This function creates an in-memory Jira from a set of issue fixtures
+ * @param fixtures An object with an "issues" array of Jira issue JSON (each with a key and fields) and an optional
+ *  "groups" object mapping a group name to the user names in it
+ * @returns {Object} The in-memory Jira with the stand-in collaborators, the recorded comments, label changes and created sub-tasks, and
+ *  install/uninstall functions which swap the collaborators into the Hazard Analysis audits
+ */
+function createInMemoryJira(fixtures){
+    const issues = new Map();
+    (fixtures.issues || []).forEach(issue => issues.set(issue.key, JSON.parse(JSON.stringify(issue))));
+    const groups = fixtures.groups || {};
+
+    // Everything the audits do to Jira is recorded here
+    const comments = [];
+    const labelChanges = [];
+    const passFailResults = [];
+    const createdSubTasks = [];
+
+    const getIssue = key => {
+        if(!issues.has(key)){
+            throw new Error(`No fixture for issue ${key}`);
+        }
+        return issues.get(key);
+    };
+
+    const auditCommentText = audit => `*${audit.auditName}*: ${audit.auditDetails}`;
+
+    const jiraHelpers = {
+        getIssue,
+        getSubTaskByName: (issue, subTaskName) => {
+            const subTask = (issue.fields.subtasks || []).find(candidate => candidate.fields.summary === subTaskName);
+            return subTask ? getIssue(subTask.key) : undefined;
+        },
+        issueContainsAnyLabel: (issue, labels) => (issue.fields.labels || []).some(label => labels.includes(label)),
+        isSubtaskLinkOfType: (issueLink, subTaskName) => {
+            const linkedIssue = issueLink.inwardIssue || issueLink.outwardIssue;
+            return !!linkedIssue && linkedIssue.fields.issuetype.subtask && linkedIssue.fields.summary === subTaskName;
+        },
+        getIssueFromLink: async issueLink => getIssue((issueLink.inwardIssue || issueLink.outwardIssue).key),
+        issueHasNoWorkNeededResolution: issue => !!issue.fields.resolution && NO_WORK_NEEDED_RESOLUTIONS.includes(issue.fields.resolution.name),
+        findPlusOneComments: issue => ((issue.fields.comment && issue.fields.comment.comments) || [])
+            .filter(comment => /^\s*\+1/.test(comment.body) && (!issue.fields.assignee || comment.author.name !== issue.fields.assignee.name)),
+        getGroupMembers: async groupName => (groups[groupName] || []).map(name => ({name, displayName: name})),
+        getIssueChangelog: async issue => (getIssue(issue.key).changelog || {histories: []}).histories,
+        searchIssues: async (jql, fields, startAt, maxResults) => {
+            const matches = searchFixtures(jql);
+            return {startAt, maxResults, total: matches.length, issues: matches.slice(startAt, startAt + maxResults)};
+        },
+        generateAuditCommentText: auditCommentText,
+        postIssueAuditFailureComment: async (issue, audit) => {
+            removeComment(issue.key, audit.auditName);
+            comments.push({issueKey: issue.key, auditName: audit.auditName, body: auditCommentText(audit)});
+        },
+        removeIssueAuditFailureComment: async (issue, audit) => removeComment(issue.key, audit.auditName),
+        removeIssueAuditFailureCommentByName: async (issue, auditName) => removeComment(issue.key, auditName),
+        handlePassFailAuditResults: async (issue, audit) => {
+            passFailResults.push({issueKey: issue.key, auditName: audit.auditName, auditPassing: audit.auditPassing});
+        },
+        addIssueLabels: async (issue, labels) => changeLabels(issue, labels, "add"),
+        removeIssueLabels: async (issue, labels) => changeLabels(issue, labels, "remove"),
+        createSubTask: async (parentIssue, summary, description) => createSubTask(parentIssue, summary, description)
+    };
+
+    // Only "key in (...)" queries are understood; any other query returns every issue which is not a sub-task
+    function searchFixtures(jql){
+        const keyMatch = /key\s+in\s*\(([^)]*)\)/i.exec(jql);
+        if(keyMatch){
+            return keyMatch[1].split(",").map(key => key.trim()).filter(key => issues.has(key)).map(getIssue);
+        }
+        return Array.from(issues.values()).filter(issue => !issue.fields.issuetype.subtask);
+    }
+
+    function removeComment(issueKey, auditName){
+        const index = comments.findIndex(comment => comment.issueKey === issueKey && comment.auditName === auditName);
+        if(index >= 0){
+            comments.splice(index, 1);
+        }
+    }
+
+    function changeLabels(issue, labels, change){
+        const storedIssue = getIssue(issue.key);
+        const currentLabels = storedIssue.fields.labels || [];
+        storedIssue.fields.labels = change === "add" ? Array.from(new Set(currentLabels.concat(labels))) : currentLabels.filter(label => !labels.includes(label));
+        issue.fields.labels = storedIssue.fields.labels;
+        labelChanges.push({issueKey: issue.key, change, labels: labels.slice()});
+    }
+
+    function createSubTask(parentIssue, summary, description){
+        const projectKey = parentIssue.key.split("-")[0];
+        const nextNumber = Math.max(...Array.from(issues.keys()).filter(key => key.startsWith(`${projectKey}-`)).map(key => Number(key.split("-")[1]))) + 1;
+        const issuetype = {name: "Sub-task", subtask: true};
+        const subTask = {
+            key: `${projectKey}-${nextNumber}`,
+            fields: {summary, issuetype, parent: {key: parentIssue.key}, status: {name: "Open"}, resolution: null, labels: [], description, issuelinks: []}
+        };
+
+        issues.set(subTask.key, subTask);
+        const storedParent = getIssue(parentIssue.key);
+        storedParent.fields.subtasks = (storedParent.fields.subtasks || []).concat({key: subTask.key, fields: {summary, issuetype}});
+        parentIssue.fields.subtasks = storedParent.fields.subtasks;
+        createdSubTasks.push({parentKey: parentIssue.key, issueKey: subTask.key, summary, description});
+        return subTask;
+    }
+
+    const stubAudit = (auditName, isPassing, passDetails, failDetails) => async issue => {
+        const auditDetail = new InMemoryAuditDetails(auditName, issue);
+        auditDetail.auditPassing = isPassing(issue);
+        auditDetail.auditDetails = auditDetail.auditPassing ? passDetails : failDetails;
+        return auditDetail;
+    };
+
+    const collaborators = {
+        auditHelpers: {
+            SUBTASK_NAMES: {HAZARD_ANALYSIS},
+            IGNORE_AUDIT_LABELS: {HAZARD_ANALYSIS: "ignore-hazard-analysis-audit"}
+        },
+        jiraHelpers,
+        subTaskAudits: {
+            subTaskClosed: stubAudit("Sub-Task Closed", issue => CLOSED_STATUSES.includes(issue.fields.status.name),
+                "Sub-task is closed", "Sub-task must be closed")
+        },
+        commonAudits: {
+            isAssigneeIndicated: stubAudit("Assignee Indicated", issue => !!issue.fields.assignee,
+                "Assignee is indicated", "An assignee must be indicated")
+        },
+        AuditDetails: InMemoryAuditDetails,
+        jira2Fields: {
+            JIRA_FIELDS: {RESOLUTION_DATE: "resolutiondate"},
+            DEFAULT_SUBTASK_FIELDS: ["summary", "status", "resolution", "resolutiondate", "assignee", "description", "comment", "issuelinks", "labels", "issuetype", "parent"]
+        }
+    };
+
+    return {
+        collaborators,
+        comments,
+        labelChanges,
+        passFailResults,
+        createdSubTasks,
+        getIssue,
+        install: () => hazardAuditDependencies.setDependencies(collaborators),
+        uninstall: () => hazardAuditDependencies.resetDependencies()
+    };
+}
+
+module.exports = {
+    createInMemoryJira,
+    InMemoryAuditDetails
+};
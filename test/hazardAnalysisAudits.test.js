@@ -0,0 +1,574 @@
+/**
+ * These tests run every path of runHazardAnalysisAudits against the in-memory Jira and the issue fixtures.  Each path is
+ * run twice: in apply mode, to check the comments and pass/fail results recorded by the in-memory Jira, and in report
+ * mode, to check the planned actions and that nothing was sent to Jira.
+ */
+
+const {describe, it, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const {AUDIT_MODE} = require("../hazardAuditActions.js");
+const {AUDIT_PATHS} = require("../hazardAuditEvents.js");
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const hazardAnalysisAudits = require("../hazardAnalysisAudits.js");
+const {loadQuestionSchema} = require("../hazardQuestionSchema.js");
+const {loadAuditPolicy} = require("../hazardAuditPolicy.js");
+const auditPolicies = require("../hazardAuditPolicies.json");
+const questionSchema = require("../hazardAnalysisQuestions.json");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+const SUB_TASK_AUDIT = "Hazard Analysis Sub-Task Audit";
+const IGNORE_LABEL_VALIDATION = "Hazard Analysis Ignore Label Validation";
+const REQUIRES_SUB_TASK = "Issue Requires A Hazard Analysis Sub-Task";
+const NO_WORK_NEEDED = "Hazard Analysis No Work Needed Resolution Validation";
+const HAS_ONE_LINK = "Hazard Analysis Sub-Task Has One Link";
+const LINKED_SUB_TASK = "Linked Hazard Analysis Sub-Task Audit";
+const COMPLETED = "Hazard Analysis Completed";
+const REVIEWED = "Hazard Analysis Reviewed";
+const ANSWERS_CHANGED = "Hazard Analysis Answers Changed After Sign-Off";
+const RISK_ESCALATION = "Hazard Analysis Risk Escalation";
+const PROPOSED_DESCRIPTION = "Hazard Analysis Proposed Description";
+
+/**
+ * This function audits an issue of the fixtures in apply mode and in report mode, each against its own in-memory Jira
+ * @param issueKey The key of the issue to audit
+ * @param options Optional settings passed to runHazardAnalysisAudits along with the mode
+ * @param prepare Optional function which receives each in-memory Jira before the audit, to change its issues or comments
+ * @returns {Promise<{applied: Object, reported: Object}>} The jira, auditDetails and initialComments of each run
+ */
+async function auditInBothModes(issueKey, options = {}, prepare = () => {}){
+    const applied = await auditIssue(issueKey, Object.assign({}, options, {mode: AUDIT_MODE.APPLY}), prepare);
+    const reported = await auditIssue(issueKey, Object.assign({}, options, {mode: AUDIT_MODE.REPORT}), prepare);
+
+    // Report mode only plans its changes, so the in-memory Jira must be left untouched
+    assert.deepStrictEqual(reported.jira.comments, reported.initialComments, "report mode must not post or remove comments");
+    assert.deepStrictEqual(reported.jira.passFailResults, [], "report mode must not record pass/fail results");
+    assert.deepStrictEqual(reported.jira.labelChanges, [], "report mode must not change labels");
+    assert.deepStrictEqual(reported.jira.createdSubTasks, [], "report mode must not create sub-tasks");
+    assert.deepStrictEqual(applied.auditDetails.plannedActions, [], "apply mode must not leave planned actions");
+
+    return {applied, reported};
+}
+
+async function auditIssue(issueKey, options, prepare){
+    const jira = createInMemoryJira(fixtures);
+    prepare(jira);
+    const initialComments = jira.comments.slice();
+    jira.install();
+    const auditDetails = await hazardAnalysisAudits.runHazardAnalysisAudits(jira.getIssue(issueKey), options);
+    return {jira, auditDetails, initialComments};
+}
+
+// The comments of the in-memory Jira without their body, which is checked on its own where it matters
+function commentTargets(jira){
+    return jira.comments.map(comment => [comment.issueKey, comment.auditName]);
+}
+
+// The planned actions as [action, issue key, audit name], with whether the audit passed for a pass/fail result
+function plannedTargets(auditDetails){
+    return auditDetails.plannedActions.map(plannedAction => {
+        const target = [plannedAction.action, plannedAction.issueKey, plannedAction.auditName || plannedAction.summary];
+        return plannedAction.action === "handlePassFailAuditResults" ? target.concat(plannedAction.args[0].audit.auditPassing) : target;
+    });
+}
+
+// Adds a comment to an issue of the in-memory Jira, as the given user at the given time
+function addComment(jira, issueKey, userName, body, created){
+    jira.getIssue(issueKey).fields.comment.comments.push({author: {name: userName, displayName: userName}, body, created});
+}
+
+// The question schema of hazardAnalysisQuestions.json with its sign-off policy changed
+function schemaWithSignOff(signOff){
+    return loadQuestionSchema(Object.assign({}, questionSchema, {signOff: Object.assign({}, questionSchema.signOff, signOff)}));
+}
+
+function findAudit(auditDetails, auditName){
+    if(auditDetails.auditName === auditName){
+        return auditDetails;
+    }
+    for(const auditResult of auditDetails.auditResults || []){
+        const found = findAudit(auditResult, auditName);
+        if(found){
+            return found;
+        }
+    }
+    return null;
+}
+
+// The plan of a sub-task whose own analysis is audited, with the given audits failing.  An incomplete form is neither
+// reviewed nor escalated.
+function ownSubTaskPlan(storyKey, subTaskKey, failingAudits = []){
+    const commentAction = auditName => failingAudits.includes(auditName) ? "postIssueAuditFailureComment" : "removeIssueAuditFailureComment";
+    const formComplete = !failingAudits.includes(COMPLETED);
+    return [
+        ["removeIssueAuditFailureComment", storyKey, IGNORE_LABEL_VALIDATION],
+        ["removeIssueAuditFailureComment", storyKey, REQUIRES_SUB_TASK],
+        ["removeIssueAuditFailureComment", subTaskKey, NO_WORK_NEEDED],
+        [commentAction(COMPLETED), subTaskKey, COMPLETED],
+        ...(formComplete ? [[commentAction(REVIEWED), subTaskKey, REVIEWED]] : []),
+        [commentAction(ANSWERS_CHANGED), subTaskKey, ANSWERS_CHANGED],
+        ...(formComplete ? [[commentAction(RISK_ESCALATION), subTaskKey, RISK_ESCALATION]] : []),
+        ["removeIssueAuditFailureCommentByName", subTaskKey, LINKED_SUB_TASK],
+        ["handlePassFailAuditResults", subTaskKey, SUB_TASK_AUDIT, !failingAudits.length]
+    ];
+}
+
+// The plan of a story whose sub-task links to the analysis of another story, which is audited on analysisKey
+function linkedSubTaskPlan(storyKey, subTaskKey, analysisKey){
+    return [
+        ["removeIssueAuditFailureComment", storyKey, IGNORE_LABEL_VALIDATION],
+        ["removeIssueAuditFailureComment", storyKey, REQUIRES_SUB_TASK],
+        ["removeIssueAuditFailureComment", subTaskKey, NO_WORK_NEEDED],
+        ["removeIssueAuditFailureComment", subTaskKey, HAS_ONE_LINK],
+        ["removeIssueAuditFailureComment", analysisKey, COMPLETED],
+        ["removeIssueAuditFailureComment", analysisKey, REVIEWED],
+        ["removeIssueAuditFailureComment", analysisKey, ANSWERS_CHANGED],
+        ["removeIssueAuditFailureComment", subTaskKey, RISK_ESCALATION],
+        ["removeIssueAuditFailureComment", subTaskKey, LINKED_SUB_TASK],
+        ["handlePassFailAuditResults", subTaskKey, SUB_TASK_AUDIT, true]
+    ];
+}
+
+// The plan of a story whose chain of linked sub-tasks can not be resolved
+function invalidChainPlan(storyKey, subTaskKey){
+    return [
+        ["removeIssueAuditFailureComment", storyKey, IGNORE_LABEL_VALIDATION],
+        ["removeIssueAuditFailureComment", storyKey, REQUIRES_SUB_TASK],
+        ["removeIssueAuditFailureComment", subTaskKey, NO_WORK_NEEDED],
+        ["removeIssueAuditFailureComment", subTaskKey, HAS_ONE_LINK],
+        ["postIssueAuditFailureComment", subTaskKey, LINKED_SUB_TASK],
+        ["handlePassFailAuditResults", subTaskKey, SUB_TASK_AUDIT, false]
+    ];
+}
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("runHazardAnalysisAudits", () => {
+    it("ignores an issue resolved before the effective date", async () => {
+        const {applied, reported} = await auditInBothModes("HAZ-1");
+
+        assert.strictEqual(applied.auditDetails.auditPassing, true);
+        assert.strictEqual(applied.auditDetails.messageId, "policy.ignored");
+        assert.deepStrictEqual(applied.auditDetails.appliedPolicyRule, {
+            type: "effectiveDate",
+            id: "defaultEffectiveDate",
+            description: "the issue was resolved prior to the audit introduction date of 2019-04-22",
+            message: {messageId: "policy.resolvedBeforeEffectiveDate", params: {effectiveDate: "2019-04-22"}}
+        });
+        assert.deepStrictEqual(applied.jira.comments, []);
+        assert.deepStrictEqual(applied.jira.passFailResults, []);
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails), []);
+    });
+
+    it("ignores an issue with the ignore label and removes its missing sub-task comment", async () => {
+        const addStaleComment = jira => jira.comments.push({issueKey: "HAZ-2", auditName: REQUIRES_SUB_TASK, body: "stale"});
+        const {applied, reported} = await auditInBothModes("HAZ-2", {}, addStaleComment);
+
+        assert.strictEqual(applied.auditDetails.auditPassing, true);
+        assert.strictEqual(applied.auditDetails.appliedPolicyRule.id, "standardIgnoreLabel");
+        assert.deepStrictEqual(applied.jira.comments, []);
+        assert.deepStrictEqual(applied.jira.passFailResults, []);
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails), [
+            ["removeIssueAuditFailureCommentByName", "HAZ-2", REQUIRES_SUB_TASK]
+        ]);
+    });
+
+    it("fails a story without a Hazard Analysis sub-task", async () => {
+        const {applied, reported} = await auditInBothModes("HAZ-3");
+
+        assert.strictEqual(applied.auditDetails.auditPassing, false);
+        assert.strictEqual(applied.auditDetails.auditPath, AUDIT_PATHS.MISSING_SUB_TASK);
+        assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-3", REQUIRES_SUB_TASK]]);
+        assert.match(applied.jira.comments[0].body, /A Hazard Analysis sub-task is required for all stories/);
+        assert.deepStrictEqual(applied.jira.passFailResults, []);
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails), [
+            ["removeIssueAuditFailureComment", "HAZ-3", IGNORE_LABEL_VALIDATION],
+            ["postIssueAuditFailureComment", "HAZ-3", REQUIRES_SUB_TASK]
+        ]);
+    });
+
+    it("creates the missing sub-task when remediating", async () => {
+        const {applied, reported} = await auditInBothModes("HAZ-3", {remediate: true});
+
+        assert.deepStrictEqual(applied.jira.createdSubTasks.map(subTask => [subTask.parentKey, subTask.summary]), [["HAZ-3", "Hazard Analysis"]]);
+        assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-3", REQUIRES_SUB_TASK]]);
+        assert.deepStrictEqual(applied.jira.passFailResults, []);
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails), [
+            ["removeIssueAuditFailureComment", "HAZ-3", IGNORE_LABEL_VALIDATION],
+            ["createSubTask", "HAZ-3", "Hazard Analysis"],
+            ["postIssueAuditFailureComment", "HAZ-3", REQUIRES_SUB_TASK]
+        ]);
+    });
+
+    it("proposes a repaired description for a form which no longer matches the template when remediating", async () => {
+        const {applied, reported} = await auditInBothModes("HAZ-40", {remediate: true});
+
+        const completed = findAudit(applied.auditDetails, COMPLETED);
+        assert.strictEqual(applied.auditDetails.auditPassing, false);
+        assert.ok(completed.proposedDescription.startsWith("h3. Hazard Analysis\n*Financial:* <yes or no. if yes, explain why> No\n"));
+        assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-41", PROPOSED_DESCRIPTION], ["HAZ-41", COMPLETED]]);
+        assert.ok(applied.jira.comments[0].body.includes("The answers to Financial, Data Integrity, Patient Safety were recovered"));
+        assert.ok(applied.jira.comments[0].body.includes(`{noformat}\n${completed.proposedDescription}\n{noformat}`));
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails).filter(target => target[2] === PROPOSED_DESCRIPTION), [["postIssueAuditFailureComment", "HAZ-41", PROPOSED_DESCRIPTION]]);
+    });
+
+    it("removes the proposed description once the form is complete", async () => {
+        const seedProposal = jira => jira.comments.push({issueKey: "HAZ-9", auditName: PROPOSED_DESCRIPTION, body: "proposal"});
+        const {applied, reported} = await auditInBothModes("HAZ-8", {remediate: true}, seedProposal);
+
+        assert.strictEqual(applied.auditDetails.auditPassing, true);
+        assert.deepStrictEqual(applied.jira.comments, []);
+        assert.deepStrictEqual(plannedTargets(reported.auditDetails).filter(target => target[2] === PROPOSED_DESCRIPTION), [["removeIssueAuditFailureCommentByName", "HAZ-9", PROPOSED_DESCRIPTION]]);
+    });
+
+    describe("No Work Needed", () => {
+        it("passes a sub-task which is validly closed as No Work Needed", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-4");
+
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.strictEqual(applied.auditDetails.auditPath, AUDIT_PATHS.NO_WORK_NEEDED);
+            assert.deepStrictEqual(applied.jira.comments, []);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-5", auditName: SUB_TASK_AUDIT, auditPassing: true}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), [
+                ["removeIssueAuditFailureComment", "HAZ-4", IGNORE_LABEL_VALIDATION],
+                ["removeIssueAuditFailureComment", "HAZ-4", REQUIRES_SUB_TASK],
+                ["removeIssueAuditFailureComment", "HAZ-5", NO_WORK_NEEDED],
+                ["handlePassFailAuditResults", "HAZ-5", SUB_TASK_AUDIT, true]
+            ]);
+        });
+
+        it("fails a sub-task which is closed as No Work Needed when the analysis is required", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-6");
+
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-7", NO_WORK_NEEDED]]);
+            assert.match(applied.jira.comments[0].body, /It is not valid to close this sub-task as not needing any work/);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-7", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), [
+                ["removeIssueAuditFailureComment", "HAZ-6", IGNORE_LABEL_VALIDATION],
+                ["removeIssueAuditFailureComment", "HAZ-6", REQUIRES_SUB_TASK],
+                ["postIssueAuditFailureComment", "HAZ-7", NO_WORK_NEEDED],
+                ["handlePassFailAuditResults", "HAZ-7", SUB_TASK_AUDIT, false]
+            ]);
+        });
+    });
+
+    describe("linked sub-tasks", () => {
+        it("audits the analysis of the sub-task it links to", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-24");
+
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.strictEqual(applied.auditDetails.auditPath, AUDIT_PATHS.LINKED_SUB_TASK);
+            assert.deepStrictEqual(findAudit(applied.auditDetails, LINKED_SUB_TASK).linkChain, ["HAZ-25", "HAZ-9"]);
+            assert.deepStrictEqual(applied.jira.comments, []);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-25", auditName: SUB_TASK_AUDIT, auditPassing: true}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), linkedSubTaskPlan("HAZ-24", "HAZ-25", "HAZ-9"));
+        });
+
+        it("follows a chain of linked sub-tasks to the analysis", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-26");
+
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.deepStrictEqual(findAudit(applied.auditDetails, LINKED_SUB_TASK).linkChain, ["HAZ-27", "HAZ-25", "HAZ-9"]);
+            assert.deepStrictEqual(applied.jira.comments, []);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-27", auditName: SUB_TASK_AUDIT, auditPassing: true}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), linkedSubTaskPlan("HAZ-26", "HAZ-27", "HAZ-9"));
+        });
+
+        it("fails a chain of linked sub-tasks which is a cycle", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-28");
+
+            const linkedAudit = findAudit(applied.auditDetails, LINKED_SUB_TASK);
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(linkedAudit.linkChain, ["HAZ-29", "HAZ-31"]);
+            assert.deepStrictEqual(linkedAudit.messageParams.error, {messageId: "linkedSubTask.cycle", params: {key: "HAZ-31", linkedKey: "HAZ-29"}});
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-29", LINKED_SUB_TASK]]);
+            assert.match(applied.jira.comments[0].body, /HAZ-31 links back to HAZ-29, creating a cycle/);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-29", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), invalidChainPlan("HAZ-28", "HAZ-29"));
+        });
+
+        it("fails a sub-task which is linked to itself", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-32");
+
+            const linkedAudit = findAudit(applied.auditDetails, LINKED_SUB_TASK);
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(linkedAudit.linkChain, ["HAZ-33"]);
+            assert.deepStrictEqual(linkedAudit.messageParams.error, {messageId: "linkedSubTask.selfLink", params: {key: "HAZ-33"}});
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-33", LINKED_SUB_TASK]]);
+            assert.match(applied.jira.comments[0].body, /HAZ-33 is linked to itself/);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-33", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), invalidChainPlan("HAZ-32", "HAZ-33"));
+        });
+    });
+
+    describe("questions", () => {
+        it("passes a sub-task which answers every question", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-8");
+
+            const completed = findAudit(applied.auditDetails, COMPLETED);
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.deepStrictEqual(completed.questionResults.map(result => [result.id, result.status]),
+                questionSchema.questions.map(question => [question.id, "answered"]));
+            assert.deepStrictEqual(applied.jira.comments, []);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-9", auditName: SUB_TASK_AUDIT, auditPassing: true}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-8", "HAZ-9"));
+        });
+
+        questionSchema.questions.forEach(question => {
+            it(`fails a sub-task which does not answer the ${question.heading} question`, async () => {
+                const removeAnswer = jira => {
+                    const subTask = jira.getIssue("HAZ-9");
+                    const answered = `*${question.heading}:* <yes or no. if yes, explain why> No`;
+                    assert.ok(subTask.fields.description.includes(answered));
+                    subTask.fields.description = subTask.fields.description.replace(answered, `*${question.heading}:* <yes or no. if yes, explain why>`);
+                };
+                const {applied, reported} = await auditInBothModes("HAZ-8", {}, removeAnswer);
+
+                const completed = findAudit(applied.auditDetails, COMPLETED);
+                assert.strictEqual(applied.auditDetails.auditPassing, false);
+                assert.deepStrictEqual(completed.questionResults.map(result => [result.id, result.status]),
+                    questionSchema.questions.map(other => [other.id, other.id === question.id ? "unanswered" : "answered"]));
+                assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-9", COMPLETED]]);
+                assert.ok(applied.jira.comments[0].body.includes(`* *${question.heading}:* unanswered - The question must be answered.`));
+                assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-9", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+                assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-8", "HAZ-9", [COMPLETED]));
+            });
+        });
+
+        it("applies the answer rules to every answered question", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-10");
+
+            const completed = findAudit(applied.auditDetails, COMPLETED);
+            assert.deepStrictEqual(completed.questionResults.map(result => [result.id, result.status, result.classification]), [
+                ["financial", "unanswered", null],
+                ["legalRegulatory", "answered", "no"],
+                ["dataIntegrity", "answered", "no"],
+                ["patientSafety", "invalid", "unclear"],
+                ["cyberSecurity", "invalid", "yes"]
+            ]);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-11", COMPLETED]]);
+            assert.ok(applied.jira.comments[0].body.includes("* *Patient Safety:* invalid - \"tbd\" is not an acceptable answer; answer Yes or No and explain why if Yes."));
+            assert.ok(applied.jira.comments[0].body.includes("* *CyberSecurity/Information Security:* invalid - A Yes answer must explain why in at least 20 characters."));
+            assert.deepStrictEqual(completed.questionResults.map(result => result.reasonMessage && result.reasonMessage.messageId), [
+                "question.unanswered",
+                null,
+                null,
+                "answer.filler",
+                "answer.explanationTooShort"
+            ]);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-11", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-10", "HAZ-11", [COMPLETED]));
+        });
+    });
+
+    describe("review sign-off", () => {
+        it("names the reviewers who approved the analysis", async () => {
+            const {applied} = await auditInBothModes("HAZ-8");
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(reviewed.auditPassing, true);
+            assert.deepStrictEqual(reviewed.approvals.map(approval => approval.name), ["reviewer.one"]);
+            assert.deepStrictEqual(reviewed.rejectedApprovals, []);
+        });
+
+        it("fails a sub-task without a '+1' from a reviewer", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-12");
+
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(findAudit(applied.auditDetails, REVIEWED).approvals, []);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-13", REVIEWED]]);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-13", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-12", "HAZ-13", [REVIEWED]));
+        });
+
+        it("does not count an approval which was withdrawn", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-20");
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(reviewed.rejectedApprovals.map(approval => [approval.name, approval.reasonMessage.messageId]), [["reviewer.one", "reviewed.withdrawn"]]);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-21", REVIEWED]]);
+            assert.match(applied.jira.comments[0].body, /approval was withdrawn on 2020-01-13T11:00:00.000\+0000/);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-21", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-20", "HAZ-21", [REVIEWED]));
+        });
+
+        it("does not count an approval given before the description changed", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-22");
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(reviewed.rejectedApprovals.map(approval => [approval.name, approval.reasonMessage.messageId]), [["reviewer.one", "reviewed.descriptionChanged"]]);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-23", REVIEWED]]);
+            assert.match(applied.jira.comments[0].body, /description was changed by Dev\.One on 2020-01-13T15:00:00\.000Z after the approval/);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-23", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails), ownSubTaskPlan("HAZ-22", "HAZ-23", [REVIEWED]));
+        });
+
+        it("reports an answer changed after an approval which the change invalidated", async () => {
+            const answerYes = jira => {
+                const subTask = jira.getIssue("HAZ-23");
+                const edit = subTask.changelog.histories[0].items[0];
+                edit.toString = edit.fromString.replace("*Patient Safety:* <yes or no. if yes, explain why> No", "*Patient Safety:* <yes or no. if yes, explain why> Yes, the dose shown to nurses could be rounded");
+                subTask.fields.description = edit.toString;
+            };
+            const {applied, reported} = await auditInBothModes("HAZ-22", {}, answerYes);
+
+            const answersChanged = findAudit(applied.auditDetails, ANSWERS_CHANGED);
+            assert.strictEqual(answersChanged.auditPassing, false);
+            assert.deepStrictEqual(answersChanged.changedAfterApproval.map(questionHistory => questionHistory.id), ["patientSafety"]);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-23", REVIEWED], ["HAZ-23", ANSWERS_CHANGED], ["HAZ-23", RISK_ESCALATION]]);
+            assert.match(applied.jira.comments[1].body, /after the last '\+1' approval on 2020-01-13T10:00:00\.000Z/);
+            assert.match(applied.jira.comments[1].body, /\*Patient Safety:\* changed by Dev\.One on .* from "No" to "Yes, the dose shown to nurses could be rounded"/);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails).filter(target => target[2] === ANSWERS_CHANGED), [["postIssueAuditFailureComment", "HAZ-23", ANSWERS_CHANGED]]);
+        });
+
+        it("keeps an approval when the reviewer only mentions withdrawing something else", async () => {
+            const mentionWithdrawal = jira => addComment(jira, "HAZ-9", "reviewer.one", "please withdraw the duplicate ticket", "2020-01-13T11:00:00.000+0000");
+            const {applied} = await auditInBothModes("HAZ-8", {}, mentionWithdrawal);
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(reviewed.auditPassing, true);
+            assert.deepStrictEqual(reviewed.approvals.map(approval => approval.name), ["reviewer.one"]);
+        });
+
+        it("does not count an approval the reviewer withdraws in so many words", async () => {
+            const withdrawApproval = jira => addComment(jira, "HAZ-9", "reviewer.one", "On reflection I withdraw my +1", "2020-01-13T11:00:00.000+0000");
+            const {applied} = await auditInBothModes("HAZ-8", {}, withdrawApproval);
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(reviewed.auditPassing, false);
+            assert.deepStrictEqual(reviewed.rejectedApprovals.map(approval => [approval.name, approval.reasonMessage.messageId]), [["reviewer.one", "reviewed.withdrawn"]]);
+        });
+
+        it("only counts approvals from the approver group", async () => {
+            const {applied} = await auditInBothModes("HAZ-18", {questionSchema: schemaWithSignOff({approverGroup: "hazard-safety-reviewers"})});
+
+            const reviewed = findAudit(applied.auditDetails, REVIEWED);
+            assert.strictEqual(reviewed.auditPassing, true);
+            assert.deepStrictEqual(reviewed.approvals.map(approval => approval.name), ["safety.lead"]);
+            assert.deepStrictEqual(reviewed.rejectedApprovals.map(approval => [approval.name, approval.reasonMessage.messageId]), [["reviewer.one", "reviewed.notAnApprover"]]);
+        });
+
+        it("reads the changelog and the approver group from Jira once per run", async () => {
+            const reads = [];
+            const countReads = jira => {
+                const jiraHelpers = jira.collaborators.jiraHelpers;
+                const {getIssueChangelog, getGroupMembers} = jiraHelpers;
+                jiraHelpers.getIssueChangelog = issue => {
+                    reads.push(["getIssueChangelog", issue.key]);
+                    return getIssueChangelog(issue);
+                };
+                jiraHelpers.getGroupMembers = groupName => {
+                    reads.push(["getGroupMembers", groupName]);
+                    return getGroupMembers(groupName);
+                };
+                delete jira.getIssue("HAZ-19").changelog;
+            };
+            const {auditDetails} = await auditIssue("HAZ-18", {questionSchema: schemaWithSignOff({approverGroup: "hazard-safety-reviewers"})}, countReads);
+
+            assert.strictEqual(auditDetails.auditPassing, true);
+            assert.deepStrictEqual(reads, [["getGroupMembers", "hazard-safety-reviewers"], ["getIssueChangelog", "HAZ-19"]]);
+        });
+    });
+
+    describe("risk escalation", () => {
+        const ESCALATED_LABEL = questionSchema.riskEscalation.parentFlagLabel;
+
+        // Answers the Patient Safety question of the shared analysis on HAZ-9 with Yes, which escalates it
+        const answerPatientSafetyYes = jira => {
+            const analysis = jira.getIssue("HAZ-9");
+            analysis.fields.description = analysis.fields.description.replace("*Patient Safety:* <yes or no. if yes, explain why> No",
+                "*Patient Safety:* <yes or no. if yes, explain why> Yes, the dose calculation shown to nurses could be wrong");
+        };
+
+        it("fails an escalated analysis without evidence and flags the story", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-16");
+
+            const escalation = findAudit(applied.auditDetails, RISK_ESCALATION);
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.deepStrictEqual(escalation.escalations.map(escalated => escalated.id), ["patientSafety"]);
+            assert.deepStrictEqual(escalation.evidence, []);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-17", RISK_ESCALATION]]);
+            assert.deepStrictEqual(applied.jira.labelChanges, [{issueKey: "HAZ-16", change: "add", labels: [ESCALATED_LABEL]}]);
+            assert.deepStrictEqual(applied.jira.passFailResults, [{issueKey: "HAZ-17", auditName: SUB_TASK_AUDIT, auditPassing: false}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails).filter(target => target[0] === "addIssueLabels"), [["addIssueLabels", "HAZ-16", undefined]]);
+        });
+
+        it("passes an escalated analysis with a '+1' from a safety reviewer", async () => {
+            const {applied} = await auditInBothModes("HAZ-18");
+
+            const escalation = findAudit(applied.auditDetails, RISK_ESCALATION);
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.deepStrictEqual(escalation.evidence.map(item => [item.type, item.message]), [["reviewer", {messageId: "riskEscalation.reviewerEvidence", params: {reviewer: "Safety.Lead"}}]]);
+            assert.deepStrictEqual(applied.jira.comments, []);
+            assert.deepStrictEqual(applied.jira.labelChanges, [{issueKey: "HAZ-18", change: "add", labels: [ESCALATED_LABEL]}]);
+        });
+
+        it("reports the escalation of a shared analysis on the story's own sub-task", async () => {
+            const {applied, reported} = await auditInBothModes("HAZ-24", {}, answerPatientSafetyYes);
+
+            assert.strictEqual(applied.auditDetails.auditPassing, false);
+            assert.strictEqual(findAudit(applied.auditDetails, LINKED_SUB_TASK).auditPassing, true);
+            assert.deepStrictEqual(commentTargets(applied.jira), [["HAZ-25", RISK_ESCALATION]]);
+            assert.deepStrictEqual(applied.jira.labelChanges, [{issueKey: "HAZ-24", change: "add", labels: [ESCALATED_LABEL]}]);
+            assert.deepStrictEqual(plannedTargets(reported.auditDetails).filter(target => target[2] === RISK_ESCALATION), [["postIssueAuditFailureComment", "HAZ-25", RISK_ESCALATION]]);
+        });
+
+        it("accepts evidence on the sub-task which links to a shared analysis", async () => {
+            const labelLinkingSubTask = jira => {
+                answerPatientSafetyYes(jira);
+                jira.getIssue("HAZ-25").fields.labels = ["hazard-risk-mitigated"];
+            };
+            const {applied} = await auditInBothModes("HAZ-24", {}, labelLinkingSubTask);
+
+            const escalation = findAudit(applied.auditDetails, RISK_ESCALATION);
+            assert.strictEqual(applied.auditDetails.auditPassing, true);
+            assert.deepStrictEqual(escalation.evidence.map(item => item.message), [{messageId: "riskEscalation.labelEvidence", params: {issueKey: "HAZ-25"}}]);
+            assert.deepStrictEqual(applied.jira.comments, []);
+        });
+    });
+
+    describe("locales", () => {
+        it("renders the question reasons in the locale of the run", async () => {
+            const {applied} = await auditInBothModes("HAZ-10", {locale: "de"});
+
+            const body = applied.jira.comments[0].body;
+            assert.ok(body.includes("* *Financial:* unbeantwortet - Die Frage muss beantwortet werden."));
+            assert.ok(body.includes("* *Patient Safety:* ungültig - \"tbd\" ist keine akzeptable Antwort; antworten Sie mit Yes oder No und begründen Sie ein Yes."));
+            assert.ok(body.includes("* *CyberSecurity/Information Security:* ungültig - Eine Yes-Antwort muss in mindestens 20 Zeichen begründet werden."));
+
+            // The results themselves stay in the default locale for the exports
+            assert.strictEqual(findAudit(applied.auditDetails, COMPLETED).questionResults[0].reason, "The question must be answered.");
+        });
+
+        it("renders the heading warnings in the locale of the run", async () => {
+            const {applied} = await auditInBothModes("HAZ-42", {locale: "hi"});
+
+            const completed = findAudit(applied.auditDetails, COMPLETED);
+            assert.ok(completed.auditDetails.includes("* \"Patient Saftey:\" शीर्षक को \"Patient Safety:\" के रूप में पढ़ा गया; कृपया इसकी वर्तनी ठीक करें।"));
+            assert.ok(completed.auditDetails.includes("* \"Financial\" शीर्षक में कोलन नहीं है।"));
+        });
+
+        it("renders the policy rule which ignored the issue in the locale of the run", async () => {
+            const {applied} = await auditInBothModes("HAZ-1", {locale: "de"});
+
+            assert.strictEqual(applied.auditDetails.auditDetails,
+                "Dieses Audit wird ignoriert, da das Ticket vor der Einführung des Audits am 2019-04-22 gelöst wurde (Richtlinienregel effectiveDate/defaultEffectiveDate)");
+        });
+
+        it("renders the reason an ignore label is not honoured in the locale of the run", async () => {
+            const auditPolicy = loadAuditPolicy(Object.assign({}, auditPolicies, {ignoreLabels: [{id: "approved", approvers: ["release.manager"]}]}));
+            const {applied} = await auditInBothModes("HAZ-2", {locale: "de", auditPolicy});
+
+            const validation = findAudit(applied.auditDetails, IGNORE_LABEL_VALIDATION);
+            assert.strictEqual(validation.auditPassing, false);
+            assert.strictEqual(validation.auditDetails,
+                "Das Hazard-Analysis-Audit wird nicht ignoriert, da das Änderungsprotokoll nicht zeigt, wann das Label ignore-hazard-analysis-audit hinzugefügt wurde (Richtlinienregel ignoreLabel/approved).");
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const {describe, it, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const {AUDIT_MODE} = require("../hazardAuditActions.js");
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const {runHazardAnalysisAuditBatch} = require("../hazardAnalysisBatchAudit.js");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+const STORY_KEYS = fixtures.issues.filter(issue => !issue.fields.issuetype.subtask).map(issue => issue.key);
+const NO_DELAY = {retryDelayMs: 0};
+
+function rateLimitError(){
+    return Object.assign(new Error("Rate limit exceeded"), {statusCode: 429, headers: {}});
+}
+
+/**
+ * This function installs an in-memory Jira whose searches are recorded and can be made to fail
+ * @param failSearch Optional function called with the JQL and the number of the attempt for it, which returns whether
+ *  Jira responds to that attempt as rate limited
+ * @returns {{jira: Object, searches: Array}} The in-memory Jira and the [jql, startAt] of every search
+ */
+function installJira(failSearch = () => false){
+    const jira = createInMemoryJira(fixtures);
+    const searches = [];
+    const attempts = new Map();
+    const searchIssues = jira.collaborators.jiraHelpers.searchIssues;
+    jira.collaborators.jiraHelpers.searchIssues = async (jql, fields, startAt, maxResults) => {
+        searches.push([jql, startAt]);
+        const attempt = (attempts.get(jql) || 0) + 1;
+        attempts.set(jql, attempt);
+        if(failSearch(jql, attempt)){
+            throw rateLimitError();
+        }
+        return searchIssues(jql, fields, startAt, maxResults);
+    };
+    jira.install();
+    return {jira, searches};
+}
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("runHazardAnalysisAuditBatch", () => {
+    it("fetches a list of issue keys one page at a time", async () => {
+        const {searches} = installJira();
+
+        const summary = await runHazardAnalysisAuditBatch({issueKeys: ["HAZ-1", "HAZ-8", "HAZ-12", "HAZ-16", "HAZ-99"]}, {pageSize: 2, auditOptions: {mode: AUDIT_MODE.REPORT}});
+
+        assert.deepStrictEqual(searches, [["key in (HAZ-1,HAZ-8)", 0], ["key in (HAZ-12,HAZ-16)", 0], ["key in (HAZ-99)", 0]]);
+        assert.deepStrictEqual(summary.results.map(result => result.issue.key), ["HAZ-1", "HAZ-8", "HAZ-12", "HAZ-16"]);
+    });
+
+    it("follows the pages of a JQL query to its total", async () => {
+        const {searches} = installJira();
+
+        const summary = await runHazardAnalysisAuditBatch({jql: "fixVersion = 2.4"}, {pageSize: 10, auditOptions: {mode: AUDIT_MODE.REPORT}});
+
+        assert.deepStrictEqual(searches.map(search => search[1]), [0, 10, 20]);
+        assert.deepStrictEqual(summary.results.map(result => result.issue.key), STORY_KEYS);
+        assert.strictEqual(summary.total, STORY_KEYS.length);
+    });
+
+    it("summarizes the passed, failed and ignored issues", async () => {
+        installJira();
+
+        const summary = await runHazardAnalysisAuditBatch({issueKeys: ["HAZ-1", "HAZ-8", "HAZ-10", "HAZ-12"]}, {auditOptions: {mode: AUDIT_MODE.REPORT}});
+
+        assert.deepStrictEqual([summary.total, summary.passed, summary.failed, summary.ignored, summary.errored], [4, 1, 2, 1, 0]);
+        assert.deepStrictEqual(summary.failuresByQuestion, {"Financial": 1, "Patient Safety": 1, "CyberSecurity/Information Security": 1});
+        assert.deepStrictEqual(summary.failuresByAssignee, {"Dev.One": 2});
+        assert.strictEqual(summary.slowestIssues.length, 4);
+    });
+
+    it("reports an issue whose audit errors without stopping the batch", async () => {
+        const {jira} = installJira();
+        const getSubTaskByName = jira.collaborators.jiraHelpers.getSubTaskByName;
+        jira.collaborators.jiraHelpers.getSubTaskByName = (issue, subTaskName) => {
+            if(issue.key === "HAZ-8"){
+                throw new Error("Jira is unavailable");
+            }
+            return getSubTaskByName(issue, subTaskName);
+        };
+
+        const summary = await runHazardAnalysisAuditBatch({issueKeys: ["HAZ-8", "HAZ-4"]}, {auditOptions: {mode: AUDIT_MODE.REPORT}});
+
+        assert.deepStrictEqual([summary.passed, summary.errored], [1, 1]);
+        assert.strictEqual(summary.results[0].error.message, "Jira is unavailable");
+    });
+
+    it("retries a rate limited request on its own", async () => {
+        const {searches} = installJira((jql, attempt) => attempt <= 2);
+
+        const summary = await runHazardAnalysisAuditBatch({issueKeys: ["HAZ-8"]}, Object.assign({maxRetries: 2, auditOptions: {mode: AUDIT_MODE.REPORT}}, NO_DELAY));
+
+        assert.strictEqual(searches.length, 3);
+        assert.strictEqual(summary.passed, 1);
+    });
+
+    it("gives up on a request which is still rate limited after the retries", async () => {
+        const {searches} = installJira(() => true);
+
+        await assert.rejects(runHazardAnalysisAuditBatch({issueKeys: ["HAZ-8"]}, Object.assign({maxRetries: 1}, NO_DELAY)), /Rate limit exceeded/);
+        assert.strictEqual(searches.length, 2);
+    });
+
+    it("applies the retry policy of each batch to its own requests only", async () => {
+        const {searches} = installJira((jql, attempt) => jql.includes("HAZ-4") || attempt <= 2);
+
+        const [strict, patient] = await Promise.allSettled([
+            runHazardAnalysisAuditBatch({issueKeys: ["HAZ-4"]}, Object.assign({maxRetries: 0}, NO_DELAY)),
+            runHazardAnalysisAuditBatch({issueKeys: ["HAZ-8"]}, Object.assign({maxRetries: 3, auditOptions: {mode: AUDIT_MODE.REPORT}}, NO_DELAY))
+        ]);
+
+        assert.strictEqual(strict.status, "rejected");
+        assert.strictEqual(patient.status, "fulfilled");
+        assert.strictEqual(searches.filter(search => search[0].includes("HAZ-4")).length, 1);
+    });
+});
@@ -0,0 +1,73 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {ANSWER_CLASSIFICATION, classifyAnswer, applyAnswerRules} = require("../hazardAnswerRules.js");
+const {QUESTION_STATUS} = require("../hazardDescriptionParser.js");
+const {DEFAULT_QUESTION_SCHEMA} = require("../hazardQuestionSchema.js");
+const {formatMessage} = require("../hazardAuditMessages.js");
+
+const ANSWER_RULES = DEFAULT_QUESTION_SCHEMA.answerRules;
+
+function answered(answer){
+    return {id: "patientSafety", heading: "Patient Safety", status: QUESTION_STATUS.ANSWERED, answer, reason: null, warnings: []};
+}
+
+describe("classifyAnswer", () => {
+    it("classifies an answer by the Yes or No it starts with", () => {
+        assert.deepStrictEqual(classifyAnswer("Yes, the dose calculation could be wrong"), {classification: ANSWER_CLASSIFICATION.YES, explanation: "the dose calculation could be wrong"});
+        assert.deepStrictEqual(classifyAnswer("no."), {classification: ANSWER_CLASSIFICATION.NO, explanation: ""});
+        assert.deepStrictEqual(classifyAnswer("Maybe"), {classification: ANSWER_CLASSIFICATION.UNCLEAR, explanation: "Maybe"});
+    });
+
+    it("does not read a word starting with yes or no as the answer", () => {
+        assert.strictEqual(classifyAnswer("Nothing changes").classification, ANSWER_CLASSIFICATION.UNCLEAR);
+    });
+});
+
+describe("applyAnswerRules", () => {
+    it("accepts a No and a Yes with a long enough explanation", () => {
+        assert.strictEqual(applyAnswerRules(answered("No"), ANSWER_RULES).status, QUESTION_STATUS.ANSWERED);
+        assert.strictEqual(applyAnswerRules(answered("Yes, the dose calculation could be wrong"), ANSWER_RULES).status, QUESTION_STATUS.ANSWERED);
+    });
+
+    it("rejects filler phrases", () => {
+        ["tbd", "TBD.", "see above", "x"].forEach(answer => {
+            const result = applyAnswerRules(answered(answer), ANSWER_RULES);
+            assert.strictEqual(result.status, QUESTION_STATUS.INVALID, answer);
+            assert.deepStrictEqual(result.reasonMessage, {messageId: "answer.filler", params: {answer}});
+        });
+    });
+
+    it("rejects a Yes or No followed only by filler", () => {
+        assert.strictEqual(applyAnswerRules(answered("Yes, tbd"), ANSWER_RULES).status, QUESTION_STATUS.INVALID);
+    });
+
+    it("rejects an answer which does not start with Yes or No", () => {
+        const result = applyAnswerRules(answered("Probably fine"), ANSWER_RULES);
+        assert.strictEqual(result.status, QUESTION_STATUS.INVALID);
+        assert.deepStrictEqual(result.reasonMessage, {messageId: "answer.notYesOrNo", params: {}});
+        assert.strictEqual(result.reason, "The answer must start with Yes or No.");
+    });
+
+    it("rejects a Yes whose explanation is shorter than the minimum", () => {
+        const result = applyAnswerRules(answered("Yes, maybe"), ANSWER_RULES);
+        assert.strictEqual(result.status, QUESTION_STATUS.INVALID);
+        assert.deepStrictEqual(result.reasonMessage, {messageId: "answer.explanationTooShort", params: {minimumExplanationLength: ANSWER_RULES.minimumExplanationLength}});
+        assert.strictEqual(result.reason, `A Yes answer must explain why in at least ${ANSWER_RULES.minimumExplanationLength} characters.`);
+    });
+
+    it("keeps the reason as a message which renders in any locale", () => {
+        const {reasonMessage} = applyAnswerRules(answered("Yes, maybe"), ANSWER_RULES, {minimumExplanationLength: 30});
+        assert.strictEqual(formatMessage(reasonMessage.messageId, reasonMessage.params, {locale: "de"}), "Eine Yes-Antwort muss in mindestens 30 Zeichen begründet werden.");
+        assert.strictEqual(formatMessage(reasonMessage.messageId, reasonMessage.params, {locale: "hi"}), "Yes उत्तर में कम से कम 30 अक्षरों में कारण बताया जाना चाहिए।");
+    });
+
+    it("lets a question override the minimum explanation length", () => {
+        assert.strictEqual(applyAnswerRules(answered("Yes, maybe"), ANSWER_RULES, {minimumExplanationLength: 5}).status, QUESTION_STATUS.ANSWERED);
+    });
+
+    it("leaves unanswered questions as they are", () => {
+        const unanswered = {id: "financial", status: QUESTION_STATUS.UNANSWERED, answer: "", reason: "The question must be answered."};
+        assert.deepStrictEqual(applyAnswerRules(unanswered, ANSWER_RULES), Object.assign({}, unanswered, {classification: null, explanation: null}));
+    });
+});
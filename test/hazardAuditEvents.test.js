@@ -0,0 +1,144 @@
+const {describe, it, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const {AUDIT_MODE} = require("../hazardAuditActions.js");
+const {AUDIT_EVENT_TYPES, AUDIT_OUTCOMES, AUDIT_PATHS, createAuditEventEmitter} = require("../hazardAuditEvents.js");
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const hazardAnalysisAudits = require("../hazardAnalysisAudits.js");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+const ISSUE = {key: "HAZ-10", fields: {}};
+
+// The smallest AuditDetails the emitter reads
+function auditDetails(auditName, auditPassing, extra = {}){
+    return Object.assign({auditName, auditPassing, auditDetails: `${auditName} details`, messageId: `${auditName}.message`}, extra);
+}
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("createAuditEventEmitter", () => {
+    it("emits a step event for every AuditDetails a step returns", async () => {
+        const emitter = createAuditEventEmitter(ISSUE);
+
+        const result = await emitter.step(async () => [auditDetails("first", true), null, auditDetails("second", false)]);
+        await emitter.step(async () => null);
+
+        assert.strictEqual(result.length, 3);
+        assert.deepStrictEqual(emitter.events.map(event => [event.type, event.auditName, event.outcome, event.messageId, event.reason]), [
+            [AUDIT_EVENT_TYPES.STEP, "first", AUDIT_OUTCOMES.PASS, "first.message", null],
+            [AUDIT_EVENT_TYPES.STEP, "second", AUDIT_OUTCOMES.FAIL, "second.message", "second details"]
+        ]);
+        emitter.events.forEach(event => {
+            assert.strictEqual(event.issueKey, "HAZ-10");
+            assert.strictEqual(event.runId, emitter.events[0].runId);
+            assert.ok(event.durationMs >= 0);
+        });
+    });
+
+    it("names the team after the project key unless resolveTeam is given", () => {
+        const byProject = createAuditEventEmitter(ISSUE);
+        const byResolver = createAuditEventEmitter(ISSUE, {resolveTeam: issue => `team of ${issue.key}`});
+
+        byProject.record(auditDetails("step", true), Date.now());
+        byResolver.record(auditDetails("step", true), Date.now());
+
+        assert.strictEqual(byProject.events[0].team, "HAZ");
+        assert.strictEqual(byResolver.events[0].team, "team of HAZ-10");
+    });
+
+    it("summarizes the run with its outcome, path, policy rule and failed required questions", () => {
+        const emitter = createAuditEventEmitter(ISSUE);
+
+        emitter.finish(auditDetails("Hazard Analysis Sub-Task Audit", false, {
+            auditPath: AUDIT_PATHS.SUB_TASK,
+            appliedPolicyRule: {type: "unresolved", id: "unresolvedIssues", description: "the issue is not resolved yet", message: {messageId: "policy.unresolvedAudited", params: {}}},
+            ruleVersion: "3",
+            questionResults: [
+                {id: "financial", required: true, reason: "The question must be answered."},
+                {id: "legalRegulatory", required: true, reason: null},
+                {id: "dataIntegrity", required: false, reason: "The question must be answered."}
+            ]
+        }));
+
+        const [runEvent] = emitter.events;
+        assert.strictEqual(runEvent.type, AUDIT_EVENT_TYPES.RUN);
+        assert.strictEqual(runEvent.outcome, AUDIT_OUTCOMES.FAIL);
+        assert.strictEqual(runEvent.auditPath, AUDIT_PATHS.SUB_TASK);
+        assert.deepStrictEqual(runEvent.appliedPolicyRule, {type: "unresolved", id: "unresolvedIssues"});
+        assert.deepStrictEqual(runEvent.failedQuestions, ["financial"]);
+        assert.strictEqual(runEvent.ruleVersion, "3");
+        assert.strictEqual(runEvent.error, null);
+    });
+
+    it("tells ignored, passing and errored runs apart", () => {
+        const outcomeOf = (details, error) => {
+            const emitter = createAuditEventEmitter(ISSUE);
+            emitter.finish(details, error);
+            return emitter.events[0];
+        };
+
+        assert.strictEqual(outcomeOf(auditDetails("run", true, {auditIgnored: true})).outcome, AUDIT_OUTCOMES.IGNORED);
+        assert.strictEqual(outcomeOf(auditDetails("run", true)).outcome, AUDIT_OUTCOMES.PASS);
+
+        const errored = outcomeOf(null, new Error("Jira is unavailable"));
+        assert.deepStrictEqual([errored.outcome, errored.error, errored.auditPath, errored.failedQuestions], [AUDIT_OUTCOMES.ERROR, "Jira is unavailable", null, []]);
+    });
+
+    it("keeps auditing when the event callback throws or rejects", async () => {
+        const received = [];
+        const throwing = createAuditEventEmitter(ISSUE, {onAuditEvent: event => {
+            received.push(event);
+            throw new Error("metrics sink is down");
+        }});
+        const rejecting = createAuditEventEmitter(ISSUE, {onAuditEvent: async () => {
+            throw new Error("metrics sink is down");
+        }});
+
+        await throwing.step(async () => auditDetails("step", true));
+        await rejecting.step(async () => auditDetails("step", true));
+        rejecting.finish(auditDetails("run", true));
+
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(throwing.events.length, 1);
+        assert.strictEqual(rejecting.events.length, 2);
+    });
+});
+
+describe("runHazardAnalysisAudits events", () => {
+    it("emits the steps of the run and a summary of it, and keeps them on auditEvents", async () => {
+        const jira = createInMemoryJira(fixtures);
+        jira.install();
+        const received = [];
+
+        const result = await hazardAnalysisAudits.runHazardAnalysisAudits(jira.getIssue("HAZ-10"), {mode: AUDIT_MODE.REPORT, onAuditEvent: event => received.push(event)});
+
+        assert.deepStrictEqual(result.auditEvents, received);
+        const steps = received.filter(event => event.type === AUDIT_EVENT_TYPES.STEP);
+        const completed = steps.find(event => event.auditName === "Hazard Analysis Completed");
+        assert.deepStrictEqual([completed.outcome, completed.messageId], [AUDIT_OUTCOMES.FAIL, "complete.incomplete"]);
+
+        const runEvent = received[received.length - 1];
+        assert.strictEqual(runEvent.type, AUDIT_EVENT_TYPES.RUN);
+        assert.strictEqual(runEvent.outcome, AUDIT_OUTCOMES.FAIL);
+        assert.strictEqual(runEvent.auditPath, AUDIT_PATHS.SUB_TASK);
+        assert.deepStrictEqual(runEvent.failedQuestions, ["financial", "patientSafety", "cyberSecurity"]);
+        assert.ok(received.every(event => event.runId === runEvent.runId && event.team === "HAZ"));
+    });
+
+    it("emits an error summary when the audit throws", async () => {
+        const jira = createInMemoryJira(fixtures);
+        jira.collaborators.jiraHelpers.getSubTaskByName = () => {
+            throw new Error("Jira is unavailable");
+        };
+        jira.install();
+        const received = [];
+
+        await assert.rejects(hazardAnalysisAudits.runHazardAnalysisAudits(jira.getIssue("HAZ-8"), {mode: AUDIT_MODE.REPORT, onAuditEvent: event => received.push(event)}), /Jira is unavailable/);
+
+        const runEvent = received[received.length - 1];
+        assert.deepStrictEqual([runEvent.type, runEvent.outcome, runEvent.error], [AUDIT_EVENT_TYPES.RUN, AUDIT_OUTCOMES.ERROR, "Jira is unavailable"]);
+    });
+});
@@ -0,0 +1,120 @@
+const {describe, it, before} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const {AUDIT_MODE} = require("../hazardAuditActions.js");
+const {runHazardAnalysisAuditBatch} = require("../hazardAnalysisBatchAudit.js");
+const {EXPORT_SCHEMA_VERSION, toAuditRecords, toJSON, toCSV, toJUnitXML} = require("../hazardAuditExporters.js");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+// HAZ-1 is ignored, HAZ-8 passes, HAZ-10 has an incomplete form and HAZ-12 has no '+1'.  HAZ-4 errors.
+const BATCH_KEYS = ["HAZ-1", "HAZ-4", "HAZ-8", "HAZ-10", "HAZ-12"];
+
+// The JUnit test cases of one issue as [name, outcome]
+function junitTestCases(xml, issueKey){
+    const suite = new RegExp(`<testsuite name="${issueKey}"[\\s\\S]*?</testsuite>`).exec(xml)[0];
+    return Array.from(suite.matchAll(/<testcase [^>]*name="([^"]*)"(\/>|>\s*<(\w+))/g)).map(match => [match[1], match[3] || "passed"]);
+}
+
+describe("hazardAuditExporters", () => {
+    let summary;
+
+    before(async () => {
+        const jira = createInMemoryJira(fixtures);
+        const getSubTaskByName = jira.collaborators.jiraHelpers.getSubTaskByName;
+        jira.collaborators.jiraHelpers.getSubTaskByName = (issue, subTaskName) => {
+            if(issue.key === "HAZ-4"){
+                throw new Error("Jira is unavailable");
+            }
+            return getSubTaskByName(issue, subTaskName);
+        };
+        jira.install();
+        summary = await runHazardAnalysisAuditBatch({issueKeys: BATCH_KEYS}, {auditOptions: {mode: AUDIT_MODE.REPORT}});
+        jira.uninstall();
+    });
+
+    describe("toAuditRecords", () => {
+        it("exports one record per issue of a batch summary", () => {
+            const records = toAuditRecords(summary);
+
+            assert.deepStrictEqual(records.map(record => [record.issueKey, record.status]), [
+                ["HAZ-1", "ignored"], ["HAZ-4", "error"], ["HAZ-8", "pass"], ["HAZ-10", "fail"], ["HAZ-12", "fail"]
+            ]);
+            assert.deepStrictEqual(toAuditRecords(summary.results), records);
+            assert.strictEqual(records[1].details, "Jira is unavailable");
+        });
+
+        it("keeps the outcome of the review sign-off", () => {
+            const reviews = toAuditRecords(summary).map(record => record.review && [record.review.status, record.review.messageId]);
+
+            assert.deepStrictEqual(reviews, [null, null, ["pass", "reviewed.approved"], null, ["fail", "reviewed.missingApproval"]]);
+        });
+
+        it("rejects results which are not audit results", () => {
+            assert.throws(() => toAuditRecords({total: 1, passed: 1}), /must be AuditDetails returned by runHazardAnalysisAudits, a batch summary or its results/);
+        });
+    });
+
+    describe("toJSON", () => {
+        it("writes the records under the export schema version", () => {
+            const exported = JSON.parse(toJSON(summary));
+
+            assert.strictEqual(exported.schemaVersion, EXPORT_SCHEMA_VERSION);
+            assert.deepStrictEqual(exported.records, JSON.parse(JSON.stringify(toAuditRecords(summary))));
+        });
+    });
+
+    describe("toCSV", () => {
+        it("writes one row per question, and one row for an issue without questions", () => {
+            const rows = toCSV(summary).trim().split("\r\n");
+
+            assert.strictEqual(rows[0], "issueKey,subTaskKey,analysisKey,auditStatus,questionId,question,questionStatus,classification,answer,reason,reviewers,auditedAt,ruleVersion");
+            assert.deepStrictEqual(rows.slice(1).map(row => row.split(",")[0]), ["HAZ-1", "HAZ-4"].concat(...["HAZ-8", "HAZ-10", "HAZ-12"].map(key => Array(5).fill(key))));
+            assert.match(rows[2], /^HAZ-4,,,error,,,,,,Jira is unavailable,/);
+        });
+
+        it("quotes values with separators and neutralizes values a spreadsheet would run as a formula", () => {
+            const auditDetails = {
+                issueKey: "HAZ-8",
+                auditPassing: false,
+                questionResults: [
+                    {id: "financial", heading: "Financial", status: "invalid", answer: "=HYPERLINK(\"http://example.com\")", reason: "-1, see \"notes\""},
+                    {id: "patientSafety", heading: "Patient Safety", status: "invalid", answer: "@SUM(A1)", reason: "+1"}
+                ]
+            };
+
+            const rows = toCSV(auditDetails).trim().split("\r\n");
+
+            assert.strictEqual(rows[1], "HAZ-8,,,fail,financial,Financial,invalid,,\"'=HYPERLINK(\"\"http://example.com\"\")\",\"'-1, see \"\"notes\"\"\",,,");
+            assert.strictEqual(rows[2], "HAZ-8,,,fail,patientSafety,Patient Safety,invalid,,'@SUM(A1),'+1,,,");
+        });
+    });
+
+    describe("toJUnitXML", () => {
+        it("reports each question and the review sign-off as test cases", () => {
+            const xml = toJUnitXML(summary);
+
+            assert.deepStrictEqual(junitTestCases(xml, "HAZ-8"), [
+                ["Financial", "passed"], ["Legal/Regulatory", "passed"], ["Data Integrity", "passed"], ["Patient Safety", "passed"],
+                ["CyberSecurity/Information Security", "passed"], ["Hazard Analysis Reviewed", "passed"]
+            ]);
+            assert.deepStrictEqual(junitTestCases(xml, "HAZ-12").slice(-1), [["Hazard Analysis Reviewed", "failure"]]);
+            assert.deepStrictEqual(junitTestCases(xml, "HAZ-1"), [["Hazard Analysis Sub-Task Audit", "skipped"]]);
+            assert.deepStrictEqual(junitTestCases(xml, "HAZ-4"), [["Hazard Analysis Sub-Task Audit", "error"]]);
+        });
+
+        it("skips the review sign-off of an incomplete form instead of failing it", () => {
+            const xml = toJUnitXML(summary);
+
+            assert.deepStrictEqual(junitTestCases(xml, "HAZ-10"), [
+                ["Financial", "failure"], ["Legal/Regulatory", "passed"], ["Data Integrity", "passed"], ["Patient Safety", "failure"],
+                ["CyberSecurity/Information Security", "failure"], ["Hazard Analysis Reviewed", "skipped"]
+            ]);
+            assert.doesNotMatch(xml, /No valid reviewer sign-off/);
+        });
+
+        it("counts the tests, failures and errors of every issue", () => {
+            assert.match(toJUnitXML(summary), /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Hazard Analysis Audits" tests="20" failures="4" errors="1">/);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {createMetricsStore, getISOWeek} = require("../hazardAuditMetricsStore.js");
+
+function runEvent(issueKey, timestamp){
+    return {type: "auditRun", issueKey, team: "HAZ", outcome: "pass", timestamp};
+}
+
+describe("getISOWeek", () => {
+    it("names the ISO week of a date, which may belong to the year before or after", () => {
+        assert.strictEqual(getISOWeek(new Date("2020-01-13T10:00:00.000Z")), "2020-W03");
+        assert.strictEqual(getISOWeek(new Date("2019-12-30T10:00:00.000Z")), "2020-W01");
+        assert.strictEqual(getISOWeek(new Date("2021-01-03T10:00:00.000Z")), "2020-W53");
+        assert.strictEqual(getISOWeek(new Date("2021-01-04T00:00:00.000Z")), "2021-W01");
+    });
+});
+
+describe("createMetricsStore", () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "hazard-audit-metrics-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it("needs a directory", () => {
+        assert.throws(() => createMetricsStore(" "), /needs a directory/);
+    });
+
+    it("creates its directory when the first event is recorded", async () => {
+        const store = createMetricsStore(path.join(directory, "metrics"));
+
+        await store.recordAll([]);
+        assert.strictEqual(fs.existsSync(store.directory), false);
+
+        await store.record(runEvent("HAZ-8", "2020-01-13T10:00:00.000Z"));
+        assert.deepStrictEqual(fs.readdirSync(store.directory), ["hazard-audit-events-2020-W03.jsonl"]);
+    });
+
+    it("appends the events to one file per week and reads them back oldest first", async () => {
+        const store = createMetricsStore(directory);
+
+        await store.recordAll([runEvent("HAZ-10", "2020-01-21T10:00:00.000Z"), runEvent("HAZ-8", "2020-01-14T10:00:00.000Z")]);
+        await store.record(runEvent("HAZ-12", "2020-01-13T10:00:00.000Z"));
+
+        assert.deepStrictEqual(fs.readdirSync(directory).sort(), ["hazard-audit-events-2020-W03.jsonl", "hazard-audit-events-2020-W04.jsonl"]);
+        assert.strictEqual(fs.readFileSync(path.join(directory, "hazard-audit-events-2020-W03.jsonl"), "utf8").split("\n").filter(line => line).length, 2);
+        assert.deepStrictEqual((await store.readEvents()).map(event => event.issueKey), ["HAZ-12", "HAZ-8", "HAZ-10"]);
+    });
+
+    it("reads only the events within a range", async () => {
+        const store = createMetricsStore(directory);
+        await store.recordAll([
+            runEvent("HAZ-1", "2020-01-06T10:00:00.000Z"),
+            runEvent("HAZ-2", "2020-01-14T10:00:00.000Z"),
+            runEvent("HAZ-3", "2020-01-16T10:00:00.000Z"),
+            runEvent("HAZ-4", "2020-01-28T10:00:00.000Z")
+        ]);
+
+        const events = await store.readEvents({since: new Date("2020-01-14T00:00:00.000Z"), until: new Date("2020-01-20T00:00:00.000Z")});
+        assert.deepStrictEqual(events.map(event => event.issueKey), ["HAZ-2", "HAZ-3"]);
+    });
+
+    it("reads no events from a directory which does not exist yet", async () => {
+        assert.deepStrictEqual(await createMetricsStore(path.join(directory, "missing")).readEvents(), []);
+    });
+
+    it("skips files which are not event files", async () => {
+        const store = createMetricsStore(directory);
+        await store.record(runEvent("HAZ-8", "2020-01-13T10:00:00.000Z"));
+        fs.writeFileSync(path.join(directory, "notes.txt"), "not an event");
+
+        assert.deepStrictEqual((await store.readEvents()).map(event => event.issueKey), ["HAZ-8"]);
+    });
+
+    it("names the file and line of an event which is not valid JSON", async () => {
+        fs.writeFileSync(path.join(directory, "hazard-audit-events-2020-W03.jsonl"), JSON.stringify(runEvent("HAZ-8", "2020-01-13T10:00:00.000Z")) + "\n{broken\n");
+
+        await assert.rejects(createMetricsStore(directory).readEvents(), /Line 2 of hazard-audit-events-2020-W03\.jsonl .* is not valid JSON/);
+    });
+});
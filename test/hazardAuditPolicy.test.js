@@ -0,0 +1,177 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const {POLICY_RULE_TYPES, loadAuditPolicy, evaluateAuditPolicy, DEFAULT_AUDIT_POLICY} = require("../hazardAuditPolicy.js");
+const rawDefaultPolicy = require("../hazardAuditPolicies.json");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+const IGNORE_LABEL = "ignore-hazard-analysis-audit";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The default policy with some of its settings replaced
+function policyWith(settings){
+    return loadAuditPolicy(Object.assign({}, rawDefaultPolicy, settings), "test policy");
+}
+
+// A resolved story of the HAZ project, with the given fields replaced
+function story(fields = {}, changelog = []){
+    return {
+        key: "HAZ-100",
+        fields: Object.assign({
+            issuetype: {name: "Story"},
+            resolutiondate: "2020-01-15T10:00:00.000+0000",
+            labels: [],
+            components: [],
+            priority: {name: "Major"}
+        }, fields),
+        changelog: {histories: changelog}
+    };
+}
+
+// A changelog history adding the ignore label, the given number of days ago, by the given user
+function ignoreLabelAdded(daysAgo, userName){
+    return {
+        created: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+        author: {name: userName, displayName: userName},
+        items: [{field: "labels", fromString: "", toString: IGNORE_LABEL}]
+    };
+}
+
+beforeEach(() => {
+    createInMemoryJira(fixtures).install();
+});
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("evaluateAuditPolicy", () => {
+    describe("effective dates", () => {
+        it("grandfathers an issue resolved before the audit became effective", async () => {
+            const decision = await evaluateAuditPolicy(story({resolutiondate: "2019-01-10T10:00:00.000+0000"}), DEFAULT_AUDIT_POLICY);
+
+            assert.strictEqual(decision.exempt, true);
+            assert.deepStrictEqual(decision.appliedRule, {
+                type: POLICY_RULE_TYPES.EFFECTIVE_DATE,
+                id: "defaultEffectiveDate",
+                description: "the issue was resolved prior to the audit introduction date of 2019-04-22",
+                message: {messageId: "policy.resolvedBeforeEffectiveDate", params: {effectiveDate: "2019-04-22"}}
+            });
+        });
+
+        it("applies the most specific effective date wherever it is listed", async () => {
+            const policy = policyWith({effectiveDates: [
+                {id: "hazStories", projects: ["HAZ"], issueTypes: ["Story"], effectiveDate: "2020-06-01"},
+                {id: "catchAll", effectiveDate: "2019-04-22"},
+                {id: "hazProject", projects: ["HAZ"], effectiveDate: "2019-01-01"}
+            ]});
+
+            assert.strictEqual((await evaluateAuditPolicy(story(), policy)).appliedRule.id, "hazStories");
+            assert.strictEqual((await evaluateAuditPolicy(story({issuetype: {name: "Defect"}}), policy)).exempt, false);
+        });
+    });
+
+    describe("unresolved issues", () => {
+        it("audits an unresolved issue as in progress by default", async () => {
+            const decision = await evaluateAuditPolicy(story({resolutiondate: null}), DEFAULT_AUDIT_POLICY);
+
+            assert.strictEqual(decision.exempt, false);
+            assert.strictEqual(decision.appliedRule.type, POLICY_RULE_TYPES.UNRESOLVED);
+        });
+
+        it("skips an unresolved issue when the policy ignores them", async () => {
+            const decision = await evaluateAuditPolicy(story({resolutiondate: null}), policyWith({unresolvedIssues: "ignore"}));
+
+            assert.strictEqual(decision.exempt, true);
+            assert.strictEqual(decision.appliedRule.id, "unresolvedIssues");
+        });
+    });
+
+    describe("exemptions", () => {
+        const policy = policyWith({exemptions: [
+            {id: "documentation", components: ["Documentation"], description: "documentation changes carry no hazard"},
+            {id: "trivialDefects", issueTypes: ["Defect"], priorities: ["Trivial"]}
+        ]});
+
+        it("exempts an issue with an exempt component", async () => {
+            const decision = await evaluateAuditPolicy(story({components: [{name: "Backend"}, {name: "Documentation"}]}), policy);
+
+            assert.deepStrictEqual(decision.appliedRule, {
+                type: POLICY_RULE_TYPES.EXEMPTION,
+                id: "documentation",
+                description: "documentation changes carry no hazard",
+                message: "documentation changes carry no hazard"
+            });
+        });
+
+        it("only exempts an issue matching every setting of the rule", async () => {
+            assert.strictEqual((await evaluateAuditPolicy(story({issuetype: {name: "Defect"}, priority: {name: "Trivial"}}), policy)).appliedRule.id, "trivialDefects");
+            assert.strictEqual((await evaluateAuditPolicy(story({issuetype: {name: "Defect"}, priority: {name: "Major"}}), policy)).exempt, false);
+        });
+
+        it("rejects an exemption which would exempt every issue", () => {
+            assert.throws(() => policyWith({exemptions: [{id: "everything", projects: ["HAZ"]}]}),
+                /exemptions rule "everything" must name at least one component, issue type or priority/);
+        });
+    });
+
+    describe("ignore labels", () => {
+        it("exempts an issue with the standard ignore label", async () => {
+            const decision = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}), DEFAULT_AUDIT_POLICY);
+
+            assert.strictEqual(decision.exempt, true);
+            assert.deepStrictEqual(decision.appliedRule, {
+                type: POLICY_RULE_TYPES.IGNORE_LABEL,
+                id: "standardIgnoreLabel",
+                description: `the ${IGNORE_LABEL} label is applied to the issue`,
+                message: {messageId: "policy.ignoreLabelApplied", params: {label: IGNORE_LABEL}}
+            });
+        });
+
+        it("stops honouring an ignore label once it has expired", async () => {
+            const policy = policyWith({ignoreLabels: [{id: "expiring", expiresAfterDays: 30}]});
+
+            const recent = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(5, "dev.one")]), policy);
+            const expired = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(40, "dev.one")]), policy);
+
+            assert.strictEqual(recent.exempt, true);
+            assert.strictEqual(expired.exempt, false);
+            assert.deepStrictEqual(expired.rejectedIgnoreLabels.map(rejected => [rejected.label, rejected.ruleId]), [[IGNORE_LABEL, "expiring"]]);
+            assert.strictEqual(expired.rejectedIgnoreLabels[0].reasonMessage.messageId, "policy.ignoreLabelExpired");
+            assert.strictEqual(expired.rejectedIgnoreLabels[0].reasonMessage.params.expiresAfterDays, 30);
+            assert.match(expired.rejectedIgnoreLabels[0].reason, /expired 30 day\(s\) after it was added/);
+        });
+
+        it("only honours an ignore label added by an approver", async () => {
+            const policy = policyWith({ignoreLabels: [{id: "approved", approvers: ["release.manager"], approverGroup: "hazard-safety-reviewers"}]});
+
+            const byGroupMember = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(5, "safety.lead")]), policy);
+            const byApprover = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(5, "release.manager")]), policy);
+            const byDeveloper = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(5, "dev.one")]), policy);
+
+            assert.strictEqual(byGroupMember.exempt, true);
+            assert.strictEqual(byApprover.exempt, true);
+            assert.strictEqual(byDeveloper.exempt, false);
+            assert.deepStrictEqual(byDeveloper.rejectedIgnoreLabels[0].reasonMessage, {messageId: "policy.ignoreLabelNotAnApprover", params: {label: IGNORE_LABEL, author: "dev.one"}});
+        });
+
+        it("does not honour a gated ignore label whose addition is not in the changelog", async () => {
+            const decision = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}), policyWith({ignoreLabels: [{id: "expiring", expiresAfterDays: 30}]}));
+
+            assert.strictEqual(decision.exempt, false);
+            assert.deepStrictEqual(decision.rejectedIgnoreLabels[0].reasonMessage, {messageId: "policy.ignoreLabelNotInChangelog", params: {label: IGNORE_LABEL}});
+        });
+
+        it("tries the next rule for the same label when one rejects it", async () => {
+            const policy = policyWith({ignoreLabels: [{id: "expiring", expiresAfterDays: 30}, {id: "approved", approverGroup: "hazard-safety-reviewers"}]});
+
+            const decision = await evaluateAuditPolicy(story({labels: [IGNORE_LABEL]}, [ignoreLabelAdded(40, "safety.lead")]), policy);
+
+            assert.strictEqual(decision.exempt, true);
+            assert.strictEqual(decision.appliedRule.id, "approved");
+            assert.deepStrictEqual(decision.rejectedIgnoreLabels.map(rejected => rejected.ruleId), ["expiring"]);
+        });
+    });
+});
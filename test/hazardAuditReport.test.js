@@ -0,0 +1,124 @@
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {AUDIT_EVENT_TYPES, AUDIT_OUTCOMES, AUDIT_PATHS} = require("../hazardAuditEvents.js");
+const {POLICY_RULE_TYPES} = require("../hazardAuditPolicy.js");
+const {createMetricsStore} = require("../hazardAuditMetricsStore.js");
+const {buildTrendReport, formatTrendReport, runReportCommand} = require("../hazardAuditReport.js");
+
+const NOW = new Date("2020-01-24T10:00:00.000Z");
+
+function runEvent(issueKey, team, outcome, timestamp, extra = {}){
+    return Object.assign({type: AUDIT_EVENT_TYPES.RUN, issueKey, team, outcome, auditPath: AUDIT_PATHS.SUB_TASK, appliedPolicyRule: null, failedQuestions: [], timestamp}, extra);
+}
+
+function stepEvent(auditName, outcome, durationMs, timestamp){
+    return {type: AUDIT_EVENT_TYPES.STEP, issueKey: "HAZ-8", team: "A", auditName, outcome, durationMs, timestamp};
+}
+
+// Two weeks of audits: 2020-W03 from January 13th and 2020-W04 from January 20th
+const EVENTS = [
+    runEvent("HAZ-8", "A", AUDIT_OUTCOMES.FAIL, "2020-01-13T10:00:00.000Z"),
+    runEvent("HAZ-10", "A", AUDIT_OUTCOMES.FAIL, "2020-01-14T10:00:00.000Z", {failedQuestions: ["patientSafety", "financial"]}),
+    runEvent("HAZ-8", "A", AUDIT_OUTCOMES.PASS, "2020-01-15T10:00:00.000Z"),
+    runEvent("HAZ-20", "B", AUDIT_OUTCOMES.IGNORED, "2020-01-15T10:00:00.000Z", {auditPath: AUDIT_PATHS.IGNORED, appliedPolicyRule: {type: POLICY_RULE_TYPES.IGNORE_LABEL, id: "standardIgnoreLabel"}}),
+    runEvent("HAZ-30", "B", AUDIT_OUTCOMES.PASS, "2020-01-16T10:00:00.000Z", {auditPath: AUDIT_PATHS.NO_WORK_NEEDED}),
+    runEvent("HAZ-40", "B", AUDIT_OUTCOMES.ERROR, "2020-01-16T10:00:00.000Z", {auditPath: null}),
+    runEvent("HAZ-10", "A", AUDIT_OUTCOMES.FAIL, "2020-01-21T10:00:00.000Z", {failedQuestions: ["financial"]}),
+    runEvent("HAZ-8", "A", AUDIT_OUTCOMES.PASS, "2020-01-21T10:00:00.000Z"),
+    stepEvent("Hazard Analysis Completed", AUDIT_OUTCOMES.FAIL, 30, "2020-01-13T10:00:00.000Z"),
+    stepEvent("Hazard Analysis Completed", AUDIT_OUTCOMES.PASS, 10, "2020-01-15T10:00:00.000Z"),
+    stepEvent("Hazard Analysis Reviewed", AUDIT_OUTCOMES.PASS, 5, "2020-01-21T10:00:00.000Z")
+];
+
+describe("buildTrendReport", () => {
+    it("counts the last audit run of every issue per team and week", () => {
+        const report = buildTrendReport(EVENTS, {now: NOW});
+
+        assert.deepStrictEqual(report.weeks.map(week => week.week), ["2020-W03", "2020-W04"]);
+        assert.deepStrictEqual(report.weeks[0].teams, [
+            {team: "A", issues: 2, passed: 1, failed: 1, ignored: 0, errors: 0, noWorkNeeded: 0, ignoreLabel: 0, passRate: 0.5},
+            {team: "B", issues: 3, passed: 1, failed: 0, ignored: 1, errors: 1, noWorkNeeded: 1, ignoreLabel: 1, passRate: 1}
+        ]);
+        assert.deepStrictEqual(report.weeks[1].teams.map(teamTrend => [teamTrend.team, teamTrend.issues, teamTrend.passRate]), [["A", 2, 0.5]]);
+    });
+
+    it("counts the failures of each question per week and over the report", () => {
+        const report = buildTrendReport(EVENTS, {now: NOW});
+
+        assert.deepStrictEqual(report.weeks.map(week => week.questions), [
+            [{id: "financial", failures: 1}, {id: "patientSafety", failures: 1}],
+            [{id: "financial", failures: 1}]
+        ]);
+        assert.deepStrictEqual(report.questions, [{id: "financial", failures: 2}, {id: "patientSafety", failures: 1}]);
+    });
+
+    it("measures how long sub-tasks stayed failing, and those still failing up to now", () => {
+        const report = buildTrendReport(EVENTS, {now: NOW});
+
+        assert.deepStrictEqual(report.failingDurations, [
+            {team: "A", resolved: 1, averageDays: 2, longestDays: 2, stillFailing: [{issueKey: "HAZ-10", failingSince: "2020-01-14T10:00:00.000Z", days: 10}]},
+            {team: "B", resolved: 0, averageDays: null, longestDays: null, stillFailing: []}
+        ]);
+    });
+
+    it("summarizes the failures and duration of each audit step", () => {
+        assert.deepStrictEqual(buildTrendReport(EVENTS, {now: NOW}).steps, [
+            {auditName: "Hazard Analysis Completed", runs: 2, failures: 1, averageDurationMs: 20},
+            {auditName: "Hazard Analysis Reviewed", runs: 1, failures: 0, averageDurationMs: 5}
+        ]);
+    });
+
+    it("only reports the last weeks asked for", () => {
+        const report = buildTrendReport(EVENTS, {now: NOW, weeks: 1});
+
+        assert.deepStrictEqual(report.weeks.map(week => week.week), ["2020-W04"]);
+        assert.deepStrictEqual(report.questions, [{id: "financial", failures: 1}]);
+        assert.deepStrictEqual(report.failingDurations[0].stillFailing, [{issueKey: "HAZ-10", failingSince: "2020-01-21T10:00:00.000Z", days: 3}]);
+        assert.deepStrictEqual(report.steps.map(step => step.auditName), ["Hazard Analysis Reviewed"]);
+    });
+});
+
+describe("formatTrendReport", () => {
+    it("formats the report as plain text tables", () => {
+        const text = formatTrendReport(buildTrendReport(EVENTS, {now: NOW}));
+
+        assert.match(text, /^Hazard Analysis audits per team and week\n/);
+        assert.match(text, /\n2020-W03 +B +3 +1 +0 +100% +1 +1 +1 +1\n/);
+        assert.match(text, /\nWeek +financial +patientSafety\n[- ]+\n2020-W03 +1 +1\n2020-W04 +1 +0\n/);
+        assert.match(text, /\nA +1 +2 +2 +1 +HAZ-10 \(10 days\)\n/);
+        assert.match(text, /\nHazard Analysis Completed +2 +1 +20\n/);
+    });
+
+    it("says when there are no events", () => {
+        assert.strictEqual(formatTrendReport(buildTrendReport([])), "No Hazard Analysis audit events were found\n");
+    });
+});
+
+describe("runReportCommand", () => {
+    let directory;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "hazard-audit-report-"));
+        await createMetricsStore(directory).recordAll(EVENTS);
+    });
+
+    after(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it("reports the events of a metrics directory as text or JSON", async () => {
+        assert.match(await runReportCommand([directory]), /^Hazard Analysis audits per team and week\n/);
+
+        const report = JSON.parse(await runReportCommand(["--weeks", "1", directory, "--json"]));
+        assert.deepStrictEqual(report.weeks.map(week => week.week), ["2020-W04"]);
+    });
+
+    it("explains its usage when the directory or the number of weeks is missing", async () => {
+        await assert.rejects(runReportCommand([]), /^Error: Usage: node hazardAuditReport\.js/);
+        await assert.rejects(runReportCommand([directory, "--weeks", "0"]), /^Error: Usage: node hazardAuditReport\.js/);
+    });
+});
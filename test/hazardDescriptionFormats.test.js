@@ -0,0 +1,98 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {DESCRIPTION_FORMATS, detectDescriptionFormat, normalizeDescription} = require("../hazardDescriptionFormats.js");
+const {parseHazardDescription, QUESTION_STATUS} = require("../hazardDescriptionParser.js");
+const {DEFAULT_QUESTION_SCHEMA} = require("../hazardQuestionSchema.js");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+function fixtureDescription(issueKey){
+    return fixtures.issues.find(issue => issue.key === issueKey).fields.description;
+}
+
+function adfParagraph(...texts){
+    return {type: "paragraph", content: texts.map(text => ({type: "text", text}))};
+}
+
+function adfCell(type, text){
+    return {type, content: [adfParagraph(text)]};
+}
+
+describe("detectDescriptionFormat", () => {
+    it("detects the format of each description fixture", () => {
+        assert.strictEqual(detectDescriptionFormat(fixtureDescription("HAZ-9")), DESCRIPTION_FORMATS.WIKI);
+        assert.strictEqual(detectDescriptionFormat(fixtureDescription("HAZ-37")), DESCRIPTION_FORMATS.ADF);
+        assert.strictEqual(detectDescriptionFormat(JSON.stringify(fixtureDescription("HAZ-37"))), DESCRIPTION_FORMATS.ADF);
+        assert.strictEqual(detectDescriptionFormat(fixtureDescription("HAZ-39")), DESCRIPTION_FORMATS.MARKDOWN);
+        assert.strictEqual(detectDescriptionFormat("See linked analysis"), DESCRIPTION_FORMATS.PLAIN);
+        assert.strictEqual(detectDescriptionFormat(null), DESCRIPTION_FORMATS.PLAIN);
+    });
+
+    it("detects a form written as a wiki table", () => {
+        assert.strictEqual(detectDescriptionFormat("||Question||Answer||\n|Financial:|No|"), DESCRIPTION_FORMATS.WIKI);
+        assert.strictEqual(detectDescriptionFormat("|Financial:|No|\n|Patient Safety:|No|"), DESCRIPTION_FORMATS.WIKI);
+    });
+
+    it("does not take a Markdown table for a wiki table", () => {
+        assert.strictEqual(detectDescriptionFormat("| Question | Answer |\n|---|---|\n| Financial: | No |\n| Patient Safety: | No |"), DESCRIPTION_FORMATS.MARKDOWN);
+    });
+});
+
+describe("normalizeDescription", () => {
+    it("removes the wiki markup", () => {
+        const normalized = normalizeDescription("h3. Hazard Analysis\n* *Financial:* No, see [the pricing page|https://example.com/pricing]\n{color:red}*Patient Safety:*{color} _No_");
+
+        assert.deepStrictEqual(normalized.blocks, ["Hazard Analysis", "Financial: No, see the pricing page", "Patient Safety: No"]);
+    });
+
+    it("splits every cell of a wiki table into a block of its own", () => {
+        const normalized = normalizeDescription("||Question||Answer||\n|*Financial:*|No|\n|*Legal/Regulatory:*| No, see [the contract|https://example.com/contract] |");
+
+        assert.deepStrictEqual(normalized.blocks, ["Question", "Answer", "Financial:", "No", "Legal/Regulatory:", "No, see the contract"]);
+    });
+
+    it("gives each block of an ADF document a line of its own", () => {
+        const normalized = normalizeDescription(fixtureDescription("HAZ-37"));
+
+        assert.strictEqual(normalized.format, DESCRIPTION_FORMATS.ADF);
+        assert.deepStrictEqual(normalized.blocks.slice(0, 2), ["Hazard Analysis", "Financial: <yes or no. if yes, explain why> No"]);
+    });
+
+    it("splits every cell of an ADF table into a block of its own", () => {
+        const table = {type: "doc", version: 1, content: [{type: "table", content: [
+            {type: "tableRow", content: [adfCell("tableHeader", "Question"), adfCell("tableHeader", "Answer")]},
+            {type: "tableRow", content: [adfCell("tableCell", "Financial:"), adfCell("tableCell", "No")]}
+        ]}]};
+
+        assert.deepStrictEqual(normalizeDescription(table).blocks, ["Question", "Answer", "Financial:", "No"]);
+    });
+
+    it("removes the Markdown markup and escapes", () => {
+        const normalized = normalizeDescription(fixtureDescription("HAZ-39"));
+
+        assert.strictEqual(normalized.format, DESCRIPTION_FORMATS.MARKDOWN);
+        assert.deepStrictEqual(normalized.blocks.slice(0, 2), ["Hazard Analysis", "Financial: <yes or no. if yes, explain why> No"]);
+    });
+
+    it("decodes HTML entities", () => {
+        assert.strictEqual(normalizeDescription({type: "doc", content: [adfParagraph("Financial: No &amp; none &lt;planned&gt;")]}).text, "Financial: No & none <planned>");
+    });
+});
+
+describe("parseHazardDescription of each format", () => {
+    ["HAZ-9", "HAZ-37", "HAZ-39"].forEach(issueKey => {
+        it(`answers every question of ${issueKey}`, () => {
+            const results = parseHazardDescription(fixtureDescription(issueKey), DEFAULT_QUESTION_SCHEMA);
+
+            assert.deepStrictEqual(results.map(result => [result.status, result.answer]), Array(5).fill([QUESTION_STATUS.ANSWERED, "No"]));
+        });
+    });
+
+    it("answers every question of a wiki table with the heading and answer in separate cells", () => {
+        const description = ["||Question||Answer||"].concat(DEFAULT_QUESTION_SCHEMA.questions.map(question => `|*${question.heading}:*|No|`)).join("\n");
+
+        const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+
+        assert.deepStrictEqual(results.map(result => [result.status, result.answer, result.warnings]), Array(5).fill([QUESTION_STATUS.ANSWERED, "No", []]));
+    });
+});
@@ -0,0 +1,201 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert");
+
+const {parseHazardDescription, QUESTION_STATUS} = require("../hazardDescriptionParser.js");
+const {DEFAULT_QUESTION_SCHEMA} = require("../hazardQuestionSchema.js");
+const {formatMessage} = require("../hazardAuditMessages.js");
+
+const PLACEHOLDER = "<yes or no. if yes, explain why>";
+
+// The wiki markup form of the template with an answer per heading, in the order they are given
+function wikiForm(answers){
+    return ["h3. Hazard Analysis"]
+        .concat(Object.keys(answers).map(heading => `*${heading}:* ${PLACEHOLDER} ${answers[heading]}`))
+        .concat("*Engineer:* ")
+        .join("\n");
+}
+
+function summarize(description, schema = DEFAULT_QUESTION_SCHEMA){
+    return parseHazardDescription(description, schema).map(result => [result.id, result.status, result.answer]);
+}
+
+const ALL_ANSWERED_NO = [
+    ["financial", QUESTION_STATUS.ANSWERED, "No"],
+    ["legalRegulatory", QUESTION_STATUS.ANSWERED, "No"],
+    ["dataIntegrity", QUESTION_STATUS.ANSWERED, "No"],
+    ["patientSafety", QUESTION_STATUS.ANSWERED, "No"],
+    ["cyberSecurity", QUESTION_STATUS.ANSWERED, "No"]
+];
+
+describe("parseHazardDescription", () => {
+    it("extracts the answer of every question of the template", () => {
+        const description = wikiForm({
+            "Financial": "No",
+            "Legal/Regulatory": "No",
+            "Data Integrity": "No",
+            "Patient Safety": "No",
+            "CyberSecurity/Information Security": "No"
+        });
+
+        assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+        assert.deepStrictEqual(parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA).map(result => result.warnings), [[], [], [], [], []]);
+    });
+
+    describe("heading starts", () => {
+        it("does not start a section at a heading named inside another answer", () => {
+            const description = [
+                "*Financial:* No",
+                "*Legal/Regulatory:* No",
+                "*Data Integrity:* No",
+                "*Patient Safety:* No, unrelated to CyberSecurity/Information Security: none",
+                "*CyberSecurity/Information Security:* No"
+            ].join("\n");
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.strictEqual(results[3].answer, "No, unrelated to CyberSecurity/Information Security: none");
+            assert.strictEqual(results[4].answer, "No");
+        });
+
+        it("finds every heading of a form written on a single line", () => {
+            const description = "h3. Hazard Analysis\n*Financial:* No *Legal/Regulatory:* No *Data Integrity:* No *Patient Safety:* No *CyberSecurity/Information Security:* No\n*Engineer:* ";
+
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+        });
+
+        it("finds the headings of a form written as a wiki table without warnings", () => {
+            const description = [
+                "||Question||Answer||",
+                "|*Financial:*|No|",
+                "|*Legal/Regulatory:*|No|",
+                "|*Data Integrity:*|No|",
+                "|*Patient Safety:*|No|",
+                "|*CyberSecurity/Information Security:*|No|"
+            ].join("\n");
+
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+            assert.deepStrictEqual(parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA).map(result => result.warnings), [[], [], [], [], []]);
+        });
+    });
+
+    describe("aliases", () => {
+        it("prefers the heading itself over an alias found earlier in the description", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Data Integrity": "No\nLegal and Regulatory: reviewed by the data team",
+                "Legal/Regulatory": "No",
+                "Patient Safety": "No",
+                "CyberSecurity/Information Security": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.strictEqual(results[1].answer, "No");
+            assert.strictEqual(results[2].answer, "No\nLegal and Regulatory: reviewed by the data team");
+        });
+
+        it("uses an alias when the heading itself is not in the description", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Legal and Regulatory": "No",
+                "Data Integrity": "No",
+                "Patient Safety": "No",
+                "CyberSecurity/Information Security": "No"
+            });
+
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+        });
+
+        it("does not read a single word of a heading as the heading", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Regulatory": "No",
+                "Data Integrity": "No",
+                "Patient Safety": "No",
+                "CyberSecurity": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.deepStrictEqual([results[1].status, results[4].status], [QUESTION_STATUS.MISSING, QUESTION_STATUS.MISSING]);
+        });
+    });
+
+    describe("tolerant headings", () => {
+        it("accepts any spacing around the slash and between words", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Legal / Regulatory": "No",
+                "Data  Integrity": "No",
+                "Patient Safety": "No",
+                "Cyber Security / Information Security": "No"
+            });
+
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+        });
+
+        it("reads a misspelled heading with a warning", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Legal/Regulatory": "No",
+                "Data Integrity": "No",
+                "Patient Saftey": "No",
+                "CyberSecurity/Information Security": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.strictEqual(results[3].status, QUESTION_STATUS.ANSWERED);
+            assert.deepStrictEqual(results[3].warningMessages, [{messageId: "question.headingMisspelled", params: {heading: "Patient Safety", matchedHeading: "Patient Saftey:"}}]);
+            assert.deepStrictEqual(results[3].warnings, ["The \"Patient Saftey:\" heading was read as \"Patient Safety:\"; please correct its spelling."]);
+        });
+
+        it("reads a heading without its colon with a warning", () => {
+            const description = "*Financial* No\n*Legal/Regulatory:* No\n*Data Integrity:* No\n*Patient Safety:* No\n*CyberSecurity/Information Security:* No";
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+            assert.deepStrictEqual(results[0].warningMessages, [{messageId: "question.headingMissingColon", params: {heading: "Financial"}}]);
+        });
+
+        it("warns about a section out of template order", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Data Integrity": "No",
+                "Legal/Regulatory": "No",
+                "Patient Safety": "No",
+                "CyberSecurity/Information Security": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.deepStrictEqual(summarize(description), ALL_ANSWERED_NO);
+            assert.deepStrictEqual(results.map(result => result.warnings.length), [0, 0, 1, 0, 0]);
+            assert.deepStrictEqual(results[2].warningMessages, [{messageId: "question.outOfOrder", params: {heading: "Data Integrity", previousHeading: "Legal/Regulatory"}}]);
+        });
+
+        it("names the closest heading found when a heading is missing", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Legal/Regulatory": "No",
+                "Data Integrity": "No",
+                "Patient Harm": "No",
+                "CyberSecurity/Information Security": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            assert.strictEqual(results[3].status, QUESTION_STATUS.MISSING);
+            assert.deepStrictEqual(results[3].reasonMessage, {messageId: "question.headingMissingClosest", params: {heading: "Patient Safety", closest: "Patient Harm:"}});
+        });
+
+        it("keeps the reasons and warnings as messages which render in any locale", () => {
+            const description = wikiForm({
+                "Financial": "No",
+                "Legal/Regulatory": "No",
+                "Data Integrity": "",
+                "Patient Saftey": "No"
+            });
+
+            const results = parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA);
+            const render = (message, locale) => formatMessage(message.messageId, message.params, {locale});
+            assert.strictEqual(render(results[2].reasonMessage, "de"), "Die Frage muss beantwortet werden.");
+            assert.strictEqual(render(results[3].warningMessages[0], "de"), "Die Überschrift \"Patient Saftey:\" wurde als \"Patient Safety:\" gelesen; bitte korrigieren Sie die Schreibweise.");
+            assert.strictEqual(render(results[4].reasonMessage, "hi"), "विवरण में \"CyberSecurity/Information Security:\" शीर्षक नहीं मिला।");
+        });
+    });
+});
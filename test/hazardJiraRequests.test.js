@@ -0,0 +1,72 @@
+const {describe, it, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const hazardJiraRequests = require("../hazardJiraRequests.js");
+
+// A stand-in for the larger program's request function which records each request and answers from the given handler
+function fakeJiraRequest(respond){
+    const requests = [];
+    const jiraRequest = async (method, path, body) => {
+        requests.push({method, path, body});
+        return respond(method, path, body);
+    };
+    return {requests, jiraRequest};
+}
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("hazardJiraRequests", () => {
+    it("fails with an error naming the missing jiraRequest dependency", async () => {
+        await assert.rejects(hazardJiraRequests.getGroupMembers("hazard-safety-reviewers"), /No jiraRequest dependency has been set.*setDependencies/);
+    });
+
+    it("reads every page of the members of a group", async () => {
+        const pages = [
+            {isLast: false, values: [{name: "safety.lead", displayName: "Safety.Lead", active: true}]},
+            {isLast: true, values: [{name: "safety.deputy", displayName: "Safety.Deputy", active: true}]}
+        ];
+        const {requests, jiraRequest} = fakeJiraRequest(() => pages.shift());
+        hazardAuditDependencies.setDependencies({jiraRequest});
+
+        assert.deepStrictEqual(await hazardJiraRequests.getGroupMembers("hazard safety"), [
+            {name: "safety.lead", displayName: "Safety.Lead"},
+            {name: "safety.deputy", displayName: "Safety.Deputy"}
+        ]);
+        assert.deepStrictEqual(requests.map(request => request.path), [
+            "/rest/api/2/group/member?groupname=hazard%20safety&includeInactiveUsers=false&startAt=0&maxResults=50",
+            "/rest/api/2/group/member?groupname=hazard%20safety&includeInactiveUsers=false&startAt=1&maxResults=50"
+        ]);
+    });
+
+    it("changes the labels in Jira and on the issue object", async () => {
+        const {requests, jiraRequest} = fakeJiraRequest(() => ({}));
+        hazardAuditDependencies.setDependencies({jiraRequest});
+        const issue = {key: "HAZ-16", fields: {labels: ["existing"]}};
+
+        await hazardJiraRequests.addIssueLabels(issue, ["hazard-risk-escalated"]);
+        assert.deepStrictEqual(issue.fields.labels, ["existing", "hazard-risk-escalated"]);
+        await hazardJiraRequests.removeIssueLabels(issue, ["existing"]);
+        assert.deepStrictEqual(issue.fields.labels, ["hazard-risk-escalated"]);
+
+        assert.deepStrictEqual(requests, [
+            {method: "PUT", path: "/rest/api/2/issue/HAZ-16", body: {update: {labels: [{add: "hazard-risk-escalated"}]}}},
+            {method: "PUT", path: "/rest/api/2/issue/HAZ-16", body: {update: {labels: [{remove: "existing"}]}}}
+        ]);
+    });
+
+    it("creates a sub-task in the project of its parent and reads it back", async () => {
+        const {requests, jiraRequest} = fakeJiraRequest(method => method === "POST" ? {key: "HAZ-46"} : {key: "HAZ-46", fields: {summary: "Hazard Analysis"}});
+        hazardAuditDependencies.setDependencies({jiraRequest, jira2Fields: {DEFAULT_SUBTASK_FIELDS: ["summary", "status"]}});
+
+        const created = await hazardJiraRequests.createSubTask({key: "HAZ-3"}, "Hazard Analysis", "h3. Hazard Analysis");
+
+        assert.deepStrictEqual(created, {key: "HAZ-46", fields: {summary: "Hazard Analysis"}});
+        assert.deepStrictEqual(requests, [
+            {method: "POST", path: "/rest/api/2/issue", body: {fields: {project: {key: "HAZ"}, parent: {key: "HAZ-3"}, issuetype: {name: "Sub-task"}, summary: "Hazard Analysis", description: "h3. Hazard Analysis"}}},
+            {method: "GET", path: "/rest/api/2/issue/HAZ-46?fields=summary,status", body: undefined}
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert");
+
+const {createInMemoryJira} = require("../inMemoryJira.js");
+const hazardAuditDependencies = require("../hazardAuditDependencies.js");
+const {buildTemplateDescription, proposeRepairedDescription} = require("../hazardTemplateRemediation.js");
+const {parseHazardDescription, QUESTION_STATUS} = require("../hazardDescriptionParser.js");
+const {DEFAULT_QUESTION_SCHEMA} = require("../hazardQuestionSchema.js");
+const fixtures = require("../fixtures/hazardAnalysisIssues.json");
+
+const PLACEHOLDER = "<yes or no. if yes, explain why>";
+
+function fixtureDescription(issueKey){
+    return fixtures.issues.find(issue => issue.key === issueKey).fields.description;
+}
+
+beforeEach(() => {
+    createInMemoryJira(fixtures).install();
+});
+
+afterEach(() => {
+    hazardAuditDependencies.resetDependencies();
+});
+
+describe("buildTemplateDescription", () => {
+    it("builds one line per question followed by the terminators", () => {
+        assert.strictEqual(buildTemplateDescription(DEFAULT_QUESTION_SCHEMA), [
+            "h3. Hazard Analysis",
+            `*Financial:* ${PLACEHOLDER}`,
+            `*Legal/Regulatory:* ${PLACEHOLDER}`,
+            `*Data Integrity:* ${PLACEHOLDER}`,
+            `*Patient Safety:* ${PLACEHOLDER}`,
+            `*CyberSecurity/Information Security:* ${PLACEHOLDER}`,
+            "*Engineer:* "
+        ].join("\n"));
+    });
+
+    it("builds a template which parses with every question unanswered and nothing to warn about", () => {
+        const results = parseHazardDescription(buildTemplateDescription(DEFAULT_QUESTION_SCHEMA), DEFAULT_QUESTION_SCHEMA);
+
+        assert.deepStrictEqual(results.map(result => [result.status, result.warnings]), Array(5).fill([QUESTION_STATUS.UNANSWERED, []]));
+    });
+
+    it("fills in the answers it is given", () => {
+        const description = buildTemplateDescription(DEFAULT_QUESTION_SCHEMA, {financial: "No", patientSafety: "Yes, the dose calculation could be wrong"});
+
+        assert.deepStrictEqual(parseHazardDescription(description, DEFAULT_QUESTION_SCHEMA).map(result => result.answer),
+            ["No", "", "", "Yes, the dose calculation could be wrong", ""]);
+    });
+});
+
+describe("proposeRepairedDescription", () => {
+    it("merges the answers recovered from a mangled description into the template", () => {
+        const questionResults = parseHazardDescription(fixtureDescription("HAZ-41"), DEFAULT_QUESTION_SCHEMA);
+
+        const proposal = proposeRepairedDescription(questionResults, DEFAULT_QUESTION_SCHEMA);
+
+        assert.deepStrictEqual(proposal.recoveredQuestions, ["financial", "dataIntegrity", "patientSafety"]);
+        assert.deepStrictEqual(parseHazardDescription(proposal.description, DEFAULT_QUESTION_SCHEMA).map(result => [result.id, result.status]), [
+            ["financial", QUESTION_STATUS.ANSWERED],
+            ["legalRegulatory", QUESTION_STATUS.UNANSWERED],
+            ["dataIntegrity", QUESTION_STATUS.ANSWERED],
+            ["patientSafety", QUESTION_STATUS.ANSWERED],
+            ["cyberSecurity", QUESTION_STATUS.UNANSWERED]
+        ]);
+    });
+
+    it("joins an answer spread over several lines into one", () => {
+        const questionResults = [{id: "financial", status: QUESTION_STATUS.ANSWERED, answer: "Yes, the invoice totals\n  are recalculated"}];
+
+        const proposal = proposeRepairedDescription(questionResults, DEFAULT_QUESTION_SCHEMA);
+
+        assert.ok(proposal.description.includes(`*Financial:* ${PLACEHOLDER} Yes, the invoice totals are recalculated\n`));
+    });
+
+    it("recovers nothing from a description without any of the questions", () => {
+        const questionResults = parseHazardDescription("See linked analysis", DEFAULT_QUESTION_SCHEMA);
+
+        const proposal = proposeRepairedDescription(questionResults, DEFAULT_QUESTION_SCHEMA);
+
+        assert.deepStrictEqual(proposal.recoveredQuestions, []);
+        assert.strictEqual(proposal.description, buildTemplateDescription(DEFAULT_QUESTION_SCHEMA));
+    });
+});